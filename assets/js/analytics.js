@@ -0,0 +1,90 @@
+/**
+ * Marknate Analytics
+ * Cookieless visitor statistics (POST /api/event): page views, seen sections,
+ * CTA clicks and form conversions. No cookies, no IDs – the worker only keeps
+ * daily totals (functions/_lib/analytics.js). Skipped entirely with
+ * Do Not Track or Global Privacy Control.
+ *
+ * Other scripts report through window.marknateTrack(type, name[, sendNow])
+ */
+(function () {
+    'use strict';
+
+    const ENDPOINT = '/api/event';
+
+    // Clicks on these elements count as CTA clicks (first match wins)
+    const CTAS = [
+        ['booking', '[data-booking-open], a[href="#buchen"]'],
+        ['whatsapp', 'a[href*="wa.me/"]'],
+        ['contact', 'a[href="#kontakt"]'],
+        ['email', 'a[href^="mailto:"]'],
+        ['phone', 'a[href^="tel:"]'],
+    ];
+
+    if (navigator.doNotTrack === '1' || navigator.globalPrivacyControl) {
+        window.marknateTrack = function () {};
+        return;
+    }
+
+    const queue = [];
+    const seen = {};
+    let referrer = externalReferrer();
+
+    function externalReferrer() {
+        try {
+            const host = document.referrer ? new URL(document.referrer).hostname : '';
+            return host && host !== window.location.hostname ? host : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function send() {
+        if (queue.length === 0) return;
+
+        // The referrer only belongs to the page view in the first batch
+        const body = JSON.stringify({ events: queue.splice(0, queue.length), referrer: referrer });
+        referrer = '';
+
+        if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+        fetch(ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: body,
+            keepalive: true,
+        }).catch(function () {});
+    }
+
+    function track(type, name, sendNow) {
+        // Each section counts once per page view
+        if (type === 'section') {
+            if (seen[name]) return;
+            seen[name] = true;
+        }
+
+        queue.push({ type: type, name: String(name) });
+        if (sendNow) send();
+    }
+
+    window.marknateTrack = track;
+
+    track('pageview', window.location.pathname, true);
+
+    document.addEventListener('click', function (event) {
+        if (!event.target.closest) return;
+        for (const [name, selector] of CTAS) {
+            if (event.target.closest(selector)) {
+                track('click', name);
+                return;
+            }
+        }
+    });
+
+    // Everything else is sent in one request when the page is left or hidden
+    document.addEventListener('visibilitychange', function () {
+        if (document.visibilityState === 'hidden') send();
+    });
+    window.addEventListener('pagehide', send);
+})();
@@ -0,0 +1,342 @@
+/**
+ * Marknate Booking Widget
+ * Opens the free 30-minute strategy call booking (GET /api/slots, POST /api/book)
+ * from any [data-booking-open] element or #buchen link
+ */
+(function () {
+    'use strict';
+
+    const TIME_ZONE = 'Europe/Zurich';
+
+    document.addEventListener('DOMContentLoaded', function () {
+        const lang = (document.documentElement.lang || 'de').toLowerCase().split('-')[0] === 'en' ? 'en' : 'de';
+        const locale = lang === 'en' ? 'en-GB' : 'de-CH';
+        let messages = {};
+        let dialog = null;
+        let lastFocus = null;
+        let days = [];
+        let selectedDay = 0;
+        let selectedSlot = null;
+
+        // Shared de/en catalog, also used by the worker (functions/_lib/i18n.js)
+        const catalogReady = fetch('/assets/i18n/booking.json')
+            .then(function (response) {
+                return response.ok ? response.json() : {};
+            })
+            .then(function (catalog) {
+                messages = catalog[lang] || catalog.de || {};
+            })
+            .catch(function () {
+                messages = {};
+            });
+
+        // Copies of the messages used here, for when the catalog fails to load
+        const fallbackMessages = {
+            de: {
+                status: {
+                    error: 'Es gab einen Fehler bei der Buchung. Bitte versuchen Sie es erneut oder schreiben Sie direkt an info@marknate.ch.',
+                    networkError: 'Verbindungsfehler. Bitte versuchen Sie es erneut oder schreiben Sie an info@marknate.ch.'
+                },
+                widget: {
+                    title: '30-Minuten Strategiegespräch',
+                    intro: 'Kostenlos und unverbindlich. Wähle einen passenden Termin:',
+                    loading: 'Termine werden geladen…',
+                    noSlots: 'Aktuell sind keine freien Termine verfügbar. Schreib mir gerne eine Nachricht.',
+                    pickTime: 'Uhrzeit wählen',
+                    selected: 'Gewählter Termin',
+                    name: 'Name *',
+                    email: 'E-Mail Adresse *',
+                    message: 'Worum geht es? (optional)',
+                    submit: 'Termin verbindlich buchen',
+                    submitting: 'Wird gebucht…',
+                    back: 'Anderen Termin wählen',
+                    close: 'Schliessen',
+                    timeZone: 'Alle Zeiten in Schweizer Zeit (Europe/Zurich).'
+                }
+            },
+            en: {
+                status: {
+                    error: 'There was an error with your booking. Please try again or write directly to info@marknate.ch.',
+                    networkError: 'Connection error. Please try again or write to info@marknate.ch.'
+                },
+                widget: {
+                    title: '30-minute strategy call',
+                    intro: 'Free and without obligation. Pick a time that suits you:',
+                    loading: 'Loading available times…',
+                    noSlots: 'There are currently no free slots. Feel free to send me a message instead.',
+                    pickTime: 'Choose a time',
+                    selected: 'Selected time',
+                    name: 'Name *',
+                    email: 'Email address *',
+                    message: 'What would you like to talk about? (optional)',
+                    submit: 'Confirm booking',
+                    submitting: 'Booking…',
+                    back: 'Choose another time',
+                    close: 'Close',
+                    timeZone: 'All times in Swiss time (Europe/Zurich).'
+                }
+            }
+        };
+
+        function lookup(catalog, key) {
+            const parts = key.split('.');
+            let node = catalog;
+            for (let i = 0; i < parts.length && node; i++) {
+                node = node[parts[i]];
+            }
+            return typeof node === 'string' ? node : '';
+        }
+
+        // Catalog → built-in copy → key, with {name} placeholders filled from params
+        function t(key, params) {
+            const text = lookup(messages, key) || lookup(fallbackMessages[lang], key) || key;
+            return text.replace(/\{(\w+)\}/g, function (match, name) {
+                return params && name in params ? params[name] : match;
+            });
+        }
+
+        document.querySelectorAll('[data-booking-open], a[href="#buchen"]').forEach(function (trigger) {
+            trigger.addEventListener('click', function (e) {
+                e.preventDefault();
+                open();
+            });
+        });
+
+        if (window.location.hash === '#buchen') {
+            open();
+        }
+
+        function open() {
+            lastFocus = document.activeElement;
+            catalogReady.then(function () {
+                if (!dialog) {
+                    dialog = createDialog();
+                }
+                dialog.classList.remove('hidden');
+                dialog.classList.add('flex');
+                document.body.classList.add('overflow-hidden');
+                dialog.querySelector('[data-booking-close]').focus();
+                loadSlots();
+            });
+        }
+
+        function close() {
+            dialog.classList.add('hidden');
+            dialog.classList.remove('flex');
+            document.body.classList.remove('overflow-hidden');
+            if (lastFocus) lastFocus.focus();
+        }
+
+        function createDialog() {
+            const el = document.createElement('div');
+            el.className = 'fixed inset-0 z-[70] hidden items-center justify-center bg-black/80 p-4';
+            el.setAttribute('role', 'dialog');
+            el.setAttribute('aria-modal', 'true');
+            el.setAttribute('aria-labelledby', 'booking-title');
+            el.innerHTML =
+                '<div class="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white rounded-[2rem] shadow-2xl p-8 md:p-10">' +
+                '<button type="button" data-booking-close class="absolute top-5 right-5 w-10 h-10 rounded-full bg-gray-100 hover:bg-brand-light/50 flex items-center justify-center text-brand-text" aria-label="' + escapeHtml(t('widget.close')) + '">' +
+                icon('lucide:x') + '</button>' +
+                '<h3 id="booking-title" class="text-2xl font-bold text-brand-text mb-2 pr-12">' + escapeHtml(t('widget.title')) + '</h3>' +
+                '<p class="text-brand-gray/70 mb-6">' + escapeHtml(t('widget.intro')) + '</p>' +
+                '<div data-booking-body></div>' +
+                '<p class="text-xs text-gray-400 mt-6">' + escapeHtml(t('widget.timeZone')) + '</p>' +
+                '</div>';
+
+            el.addEventListener('click', function (e) {
+                if (e.target === el || e.target.closest('[data-booking-close]')) {
+                    close();
+                }
+            });
+            el.addEventListener('keydown', function (e) {
+                if (e.key === 'Escape') close();
+            });
+
+            document.body.appendChild(el);
+            return el;
+        }
+
+        function body() {
+            return dialog.querySelector('[data-booking-body]');
+        }
+
+        function loadSlots(notice) {
+            body().innerHTML = '<p class="text-brand-gray py-8 text-center">' + escapeHtml(t('widget.loading')) + '</p>';
+
+            fetch('/api/slots', { headers: { Accept: 'application/json' } })
+                .then(function (response) {
+                    return response.json();
+                })
+                .then(function (data) {
+                    if (!data.success) {
+                        renderMessage('error', data.message || t('status.error'));
+                        return;
+                    }
+                    days = data.days || [];
+                    selectedDay = 0;
+                    selectedSlot = null;
+                    renderSlots(notice);
+                })
+                .catch(function () {
+                    renderMessage('error', t('status.networkError'));
+                });
+        }
+
+        function renderSlots(notice) {
+            if (days.length === 0) {
+                renderMessage('info', t('widget.noSlots'));
+                return;
+            }
+
+            const day = days[selectedDay];
+            let html = notice ? statusHtml('error', notice) : '';
+
+            html += '<div class="flex gap-2 overflow-x-auto pb-2 mb-6">';
+            days.forEach(function (d, index) {
+                const active = index === selectedDay;
+                html += '<button type="button" data-day="' + index + '" class="shrink-0 px-4 py-3 rounded-xl border text-sm font-bold transition-all ' +
+                    (active ? 'bg-brand text-white border-brand' : 'bg-gray-50 text-brand-text border-gray-200 hover:border-brand') + '">' +
+                    escapeHtml(formatDay(d.slots[0].start)) + '</button>';
+            });
+            html += '</div>';
+
+            html += '<p class="text-sm font-bold text-brand-text mb-3">' + escapeHtml(t('widget.pickTime')) + '</p>';
+            html += '<div class="grid grid-cols-3 sm:grid-cols-4 gap-2">';
+            day.slots.forEach(function (slot, index) {
+                html += '<button type="button" data-slot="' + index + '" class="py-3 rounded-xl border border-gray-200 bg-white text-brand-text font-medium hover:border-brand hover:text-brand transition-all">' +
+                    escapeHtml(slot.time) + '</button>';
+            });
+            html += '</div>';
+
+            body().innerHTML = html;
+
+            body().querySelectorAll('[data-day]').forEach(function (button) {
+                button.addEventListener('click', function () {
+                    selectedDay = Number(button.getAttribute('data-day'));
+                    renderSlots();
+                });
+            });
+            body().querySelectorAll('[data-slot]').forEach(function (button) {
+                button.addEventListener('click', function () {
+                    selectedSlot = day.slots[Number(button.getAttribute('data-slot'))];
+                    renderForm();
+                });
+            });
+        }
+
+        function renderForm() {
+            const inputClass = 'w-full px-4 py-3 rounded-xl bg-gray-50 border border-gray-200 focus:border-brand focus:ring-2 focus:ring-brand/20 outline-none transition-all';
+
+            body().innerHTML =
+                '<div class="p-4 rounded-xl bg-brand-light/50 border border-brand/20 mb-6 flex items-center justify-between gap-4">' +
+                '<div><p class="text-xs font-bold text-brand uppercase tracking-widest">' + escapeHtml(t('widget.selected')) + '</p>' +
+                '<p class="font-bold text-brand-text">' + escapeHtml(formatDay(selectedSlot.start) + ', ' + selectedSlot.time) + '</p></div>' +
+                '<button type="button" data-booking-back class="text-sm font-bold text-brand hover:text-brand-dark">' + escapeHtml(t('widget.back')) + '</button>' +
+                '</div>' +
+                '<form class="space-y-4" novalidate>' +
+                '<div style="position:absolute;left:-9999px;" aria-hidden="true"><input type="text" name="website" tabindex="-1" autocomplete="off"></div>' +
+                '<label class="block"><span class="text-sm text-brand-gray">' + escapeHtml(t('widget.name')) + '</span>' +
+                '<input type="text" name="name" autocomplete="name" required class="' + inputClass + '"></label>' +
+                '<label class="block"><span class="text-sm text-brand-gray">' + escapeHtml(t('widget.email')) + '</span>' +
+                '<input type="email" name="email" autocomplete="email" required class="' + inputClass + '"></label>' +
+                '<label class="block"><span class="text-sm text-brand-gray">' + escapeHtml(t('widget.message')) + '</span>' +
+                '<textarea name="message" rows="3" class="' + inputClass + '"></textarea></label>' +
+                '<button type="submit" class="w-full py-4 bg-brand text-white font-bold rounded-xl hover:bg-brand-dark transition-all shadow-lg">' + escapeHtml(t('widget.submit')) + '</button>' +
+                '<div data-booking-status></div>' +
+                '</form>';
+
+            body().querySelector('[data-booking-back]').addEventListener('click', function () {
+                renderSlots();
+            });
+
+            const bookingForm = body().querySelector('form');
+            bookingForm.addEventListener('submit', function (e) {
+                e.preventDefault();
+                submitBooking(bookingForm);
+            });
+            bookingForm.querySelector('[name="name"]').focus();
+        }
+
+        function submitBooking(bookingForm) {
+            const submitBtn = bookingForm.querySelector('button[type="submit"]');
+            const statusEl = bookingForm.querySelector('[data-booking-status]');
+            const formData = new FormData(bookingForm);
+            formData.set('start', selectedSlot.start);
+            formData.set('lang', lang);
+
+            submitBtn.disabled = true;
+            submitBtn.classList.add('opacity-80', 'cursor-not-allowed');
+            submitBtn.textContent = t('widget.submitting');
+
+            fetch('/api/book', {
+                method: 'POST',
+                headers: { Accept: 'application/json' },
+                body: formData
+            })
+                .then(function (response) {
+                    return response.json().then(function (data) {
+                        return { ok: response.ok, status: response.status, data: data };
+                    });
+                })
+                .then(function (result) {
+                    if (result.ok && result.data.success) {
+                        // Booked, but the invitation mail failed – Marknate confirms by hand
+                        renderMessage(result.data.inviteSent === false ? 'info' : 'success', result.data.message);
+                        if (window.marknateTrack) window.marknateTrack('conversion', 'booking', true);
+                    } else if (result.status === 409) {
+                        loadSlots(result.data.message);
+                    } else {
+                        submitBtn.disabled = false;
+                        submitBtn.classList.remove('opacity-80', 'cursor-not-allowed');
+                        submitBtn.textContent = t('widget.submit');
+                        statusEl.innerHTML = statusHtml('error', result.data.message || t('status.error'));
+                    }
+                })
+                .catch(function () {
+                    submitBtn.disabled = false;
+                    submitBtn.classList.remove('opacity-80', 'cursor-not-allowed');
+                    submitBtn.textContent = t('widget.submit');
+                    statusEl.innerHTML = statusHtml('error', t('status.networkError'));
+                });
+        }
+
+        function renderMessage(type, message) {
+            body().innerHTML = statusHtml(type, message);
+        }
+
+        function statusHtml(type, message) {
+            const styles = {
+                success: ['bg-brand-light/50 text-brand-dark border-brand/20', 'lucide:check-circle'],
+                error: ['bg-red-50 text-red-700 border-red-200', 'lucide:alert-circle'],
+                info: ['bg-gray-50 text-brand-text border-gray-200', 'lucide:info']
+            }[type];
+
+            return '<div class="mt-4 mb-4 p-4 rounded-xl text-sm font-medium flex items-center gap-2 border ' + styles[0] + '">' +
+                icon(styles[1], 'shrink-0') + escapeHtml(message) + '</div>';
+        }
+
+        // Icon from the sprite embedded in the page (scripts/icons.mjs)
+        function icon(name, className) {
+            return '<svg class="icon' + (className ? ' ' + className : '') + '" width="20" height="20" aria-hidden="true" focusable="false">' +
+                '<use href="#icon-' + name.replace(':', '-') + '"></use></svg>';
+        }
+
+        function formatDay(iso) {
+            return new Date(iso).toLocaleDateString(locale, {
+                timeZone: TIME_ZONE,
+                weekday: 'short',
+                day: 'numeric',
+                month: 'short'
+            });
+        }
+    });
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+})();
@@ -15,9 +15,61 @@
         const btnLoader = submitBtn.querySelector('.btn-loader');
         const btnSuccess = submitBtn.querySelector('.btn-success');
 
-        // Validate email format
-        function isValidEmail(email) {
-            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+        // Language of the page (<html lang="de|en">), German as fallback
+        const lang = (document.documentElement.lang || 'de').toLowerCase().split('-')[0] === 'en' ? 'en' : 'de';
+        let messages = {};
+        let schemaFields = [];
+
+        function loadJson(url) {
+            return fetch(url)
+                .then(function (response) {
+                    return response.ok ? response.json() : {};
+                })
+                .catch(function () {
+                    return {};
+                });
+        }
+
+        // Shared de/en catalog and form schema, also used by the worker
+        // (functions/_lib/i18n.js, functions/_lib/form-schema.js)
+        const catalogReady = Promise.all([
+            loadJson('/assets/i18n/contact.json'),
+            loadJson('/assets/forms/contact.json')
+        ]).then(function (results) {
+            messages = results[0][lang] || results[0].de || {};
+            schemaFields = results[1].fields || [];
+        });
+
+        // Copies of the messages used here, for when the catalog fails to load
+        const fallbackMessages = {
+            de: {
+                status: {
+                    genericError: 'Es gab einen Fehler. Bitte versuchen Sie es erneut.',
+                    networkError: 'Verbindungsfehler. Bitte versuchen Sie es erneut oder schreiben Sie an info@marknate.ch.',
+                    retryIn: 'Bitte versuchen Sie es in {seconds} Sekunden erneut.'
+                }
+            },
+            en: {
+                status: {
+                    genericError: 'Something went wrong. Please try again.',
+                    networkError: 'Connection error. Please try again or write to info@marknate.ch.',
+                    retryIn: 'Please try again in {seconds} seconds.'
+                }
+            }
+        };
+
+        function lookup(catalog, key) {
+            const parts = key.split('.');
+            let node = catalog;
+            for (let i = 0; i < parts.length && node; i++) {
+                node = node[parts[i]];
+            }
+            return typeof node === 'string' ? node : '';
+        }
+
+        // Look up a message like 'status.networkError' (catalog → built-in copy → key)
+        function t(key) {
+            return lookup(messages, key) || lookup(fallbackMessages[lang], key) || key;
         }
 
         // Show inline field error
@@ -44,9 +96,11 @@
         }
 
         // Real-time validation on blur
-        form.querySelectorAll('input, textarea').forEach(function (field) {
+        form.querySelectorAll('input, textarea, select').forEach(function (field) {
             field.addEventListener('blur', function () {
-                validateField(field);
+                catalogReady.then(function () {
+                    validateField(field);
+                });
             });
 
             field.addEventListener('input', function () {
@@ -56,30 +110,46 @@
             });
         });
 
+        function schemaField(name) {
+            for (let i = 0; i < schemaFields.length; i++) {
+                if (schemaFields[i].name === name) return schemaFields[i];
+            }
+            return null;
+        }
+
+        // Same rules and order as functions/_lib/form-schema.js
+        function failedRule(rules, value) {
+            if (!value) return rules.required ? 'required' : '';
+            if (rules.minLength && value.length < rules.minLength) return 'minLength';
+            if (rules.maxLength && value.length > rules.maxLength) return 'maxLength';
+            if (rules.pattern && !new RegExp(rules.pattern).test(value)) return 'pattern';
+            if (rules.options && !rules.options.some(function (option) { return option.value === value; })) return 'options';
+            return '';
+        }
+
+        function failedFileRule(rules, files) {
+            if (files.length === 0) return rules.required ? 'required' : '';
+            if (rules.maxFiles && files.length > rules.maxFiles) return 'maxFiles';
+            const list = Array.prototype.slice.call(files);
+            if (rules.maxSize && list.some(function (file) { return file.size > rules.maxSize; })) return 'maxSize';
+            if (rules.accept && list.some(function (file) { return rules.accept.indexOf(file.type) === -1; })) return 'accept';
+            return '';
+        }
+
+        function ruleMessage(rules, rule) {
+            const texts = (rules.messages && rules.messages[rule]) || {};
+            return texts[lang] || texts.de || t('status.genericError');
+        }
+
         function validateField(field) {
-            const value = field.value.trim();
-            const id = field.id;
+            const rules = schemaField(field.name);
+            if (!rules || rules.type === 'checkbox') return true;
 
-            if (id === 'vorname' && !value) {
-                showFieldError(field, 'Vorname ist erforderlich');
-                return false;
-            }
-            if (id === 'nachname' && !value) {
-                showFieldError(field, 'Nachname ist erforderlich');
-                return false;
-            }
-            if (id === 'email') {
-                if (!value) {
-                    showFieldError(field, 'E-Mail ist erforderlich');
-                    return false;
-                }
-                if (!isValidEmail(value)) {
-                    showFieldError(field, 'Bitte gültige E-Mail-Adresse eingeben');
-                    return false;
-                }
-            }
-            if (id === 'message' && !value) {
-                showFieldError(field, 'Nachricht ist erforderlich');
+            const rule = rules.type === 'file'
+                ? failedFileRule(rules, field.files || [])
+                : failedRule(rules, field.value.trim());
+            if (rule) {
+                showFieldError(field, ruleMessage(rules, rule));
                 return false;
             }
 
@@ -87,6 +157,25 @@
             return true;
         }
 
+        // Inline errors returned by the API (422 → { fields: { name: message } })
+        function showServerErrors(fieldErrors) {
+            let shown = false;
+            Object.keys(fieldErrors).forEach(function (name) {
+                const field = form.elements[name];
+                if (field && field.type !== 'checkbox') {
+                    showFieldError(field, fieldErrors[name]);
+                    shown = true;
+                }
+            });
+            return shown;
+        }
+
+        // Icon from the sprite embedded in the page (scripts/icons.mjs)
+        function icon(name) {
+            return '<svg class="icon shrink-0" width="20" height="20" aria-hidden="true" focusable="false">' +
+                '<use href="#icon-' + name.replace(':', '-') + '"></use></svg>';
+        }
+
         // Show status message
         function showStatus(type, message) {
             statusEl.className = 'form-status mt-4 p-4 rounded-xl text-sm font-medium flex items-center gap-2';
@@ -94,15 +183,34 @@
 
             if (type === 'success') {
                 statusEl.classList.add('bg-brand-light/50', 'text-brand-dark', 'border', 'border-brand/20');
-                statusEl.innerHTML = '<span class="iconify shrink-0" data-icon="lucide:check-circle" data-width="20"></span>' + safeMessage;
+                statusEl.innerHTML = icon('lucide:check-circle') + safeMessage;
             } else if (type === 'error') {
                 statusEl.classList.add('bg-red-50', 'text-red-700', 'border', 'border-red-200');
-                statusEl.innerHTML = '<span class="iconify shrink-0" data-icon="lucide:alert-circle" data-width="20"></span>' + safeMessage;
+                statusEl.innerHTML = icon('lucide:alert-circle') + safeMessage;
             }
 
             statusEl.classList.remove('hidden');
         }
 
+        // Show a rate limit / spam protection rejection, keep the button locked while Retry-After runs
+        function showBlocked(data) {
+            var message = data.message || t('status.genericError');
+            var retryAfter = parseInt(data.retryAfter, 10);
+
+            setButtonState('default');
+            if (!retryAfter) {
+                showStatus('error', message);
+                return;
+            }
+
+            showStatus('error', message + ' ' + t('status.retryIn').replace('{seconds}', retryAfter));
+            submitBtn.disabled = true;
+            submitBtn.classList.add('cursor-not-allowed');
+            setTimeout(function () {
+                setButtonState('default');
+            }, retryAfter * 1000);
+        }
+
         // Set button state
         function setButtonState(state) {
             if (state === 'loading') {
@@ -130,33 +238,38 @@
         // Handle form submit
         form.addEventListener('submit', function (e) {
             e.preventDefault();
+            catalogReady.then(function () {
+                submitForm();
+            });
+        });
 
+        function submitForm() {
             // Clear previous status
             statusEl.classList.add('hidden');
 
-            // Validate all fields
+            // Validate all fields from the schema
             let isValid = true;
-            const fields = ['vorname', 'nachname', 'email', 'message'];
-            fields.forEach(function (id) {
-                const field = document.getElementById(id);
-                if (!validateField(field)) {
+            schemaFields.forEach(function (rules) {
+                const field = form.elements[rules.name];
+                if (!field) return;
+
+                if (rules.type === 'checkbox') {
+                    if (rules.required && !field.checked) {
+                        showStatus('error', ruleMessage(rules, 'required'));
+                        isValid = false;
+                    }
+                } else if (!validateField(field)) {
                     isValid = false;
                 }
             });
 
-            // Check privacy checkbox
-            const privacyBox = document.getElementById('privacy');
-            if (!privacyBox.checked) {
-                showStatus('error', 'Bitte stimmen Sie der Datenschutzerklärung zu.');
-                isValid = false;
-            }
-
             if (!isValid) return;
 
             // Submit via AJAX
             setButtonState('loading');
 
             const formData = new FormData(form);
+            formData.set('lang', lang);
 
             fetch('/api/contact', {
                 method: 'POST',
@@ -164,7 +277,7 @@
             })
                 .then(function (response) {
                     return response.json().then(function (data) {
-                        return { ok: response.ok, data: data };
+                        return { ok: response.ok, status: response.status, data: data };
                     });
                 })
                 .then(function (result) {
@@ -172,14 +285,23 @@
                         setButtonState('success');
                         showStatus('success', result.data.message);
                         form.reset();
+                        if (window.marknateTrack) window.marknateTrack('conversion', 'contact', true);
 
                         // Reset button after 5 seconds
                         setTimeout(function () {
                             setButtonState('default');
                         }, 5000);
+                    } else if (result.status === 429 || result.status === 403) {
+                        // Rejected by the spam protection (rate limit, origin, timing, content)
+                        showBlocked(result.data);
+                    } else if (result.status === 422 && result.data.fields) {
+                        setButtonState('default');
+                        if (!showServerErrors(result.data.fields)) {
+                            showStatus('error', result.data.message || t('status.genericError'));
+                        }
                     } else {
                         setButtonState('default');
-                        var errorMessage = result.data.message || 'Es gab einen Fehler. Bitte versuchen Sie es erneut.';
+                        var errorMessage = result.data.message || t('status.genericError');
                         if (result.data && result.data.details) {
                             errorMessage += ' (' + result.data.details + ')';
                         }
@@ -188,9 +310,9 @@
                 })
                 .catch(function () {
                     setButtonState('default');
-                    showStatus('error', 'Verbindungsfehler. Bitte versuchen Sie es erneut oder schreiben Sie an info@marknate.ch.');
+                    showStatus('error', t('status.networkError'));
                 });
-        });
+        }
     });
 
     function escapeHtml(text) {
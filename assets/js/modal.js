@@ -0,0 +1,107 @@
+/**
+ * Marknate Modals
+ * Dialogs for the legal texts (Impressum, Datenschutz, AGB). Links with
+ * [data-modal-open="<id>"] open the dialog instead of the legal page they
+ * point to; #<id> in the URL opens it on load, so dialogs can be linked.
+ * Focus stays inside the open dialog, Escape or a click on the backdrop closes it.
+ */
+(function () {
+    'use strict';
+
+    const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    let current = null;
+    let lastFocus = null;
+
+    function find(id) {
+        const modal = id ? document.getElementById(id) : null;
+        return modal && modal.classList.contains('modal') ? modal : null;
+    }
+
+    function open(modal, trigger) {
+        if (current === modal) return;
+        if (current) current.hidden = true;
+        else lastFocus = trigger || document.activeElement;
+
+        current = modal;
+        modal.hidden = false;
+        document.body.classList.add('overflow-hidden');
+        modal.querySelector('[data-modal-close]').focus();
+        setHash('#' + modal.id);
+    }
+
+    function close() {
+        if (!current) return;
+
+        // Only remove our own hash, not one the visitor navigated to
+        if (window.location.hash === '#' + current.id) setHash('');
+        current.hidden = true;
+        current = null;
+        document.body.classList.remove('overflow-hidden');
+        if (lastFocus && lastFocus.focus) lastFocus.focus();
+        lastFocus = null;
+    }
+
+    // Keeps the open dialog in the URL without adding history entries or scrolling
+    function setHash(hash) {
+        if (window.location.hash === hash) return;
+        history.replaceState(history.state, '', window.location.pathname + window.location.search + hash);
+    }
+
+    // Tab and Shift+Tab cycle through the focusable elements of the dialog
+    function trapFocus(e) {
+        const focusable = Array.prototype.filter.call(current.querySelectorAll(FOCUSABLE), function (el) {
+            return el.getClientRects().length > 0;
+        });
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!current.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    document.addEventListener('click', function (e) {
+        if (!e.target.closest) return;
+
+        const link = e.target.closest('[data-modal-open]');
+        if (link) {
+            const modal = find(link.getAttribute('data-modal-open'));
+            // Modifier keys keep the browser behavior (legal page in a new tab)
+            if (!modal || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+            e.preventDefault();
+            open(modal, link);
+            return;
+        }
+
+        if (current && (e.target === current || e.target.closest('[data-modal-close]'))) {
+            close();
+        }
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (!current) return;
+        if (e.key === 'Escape') {
+            close();
+        } else if (e.key === 'Tab') {
+            trapFocus(e);
+        }
+    });
+
+    // Links to #<id> elsewhere on the page, back/forward between hashes
+    window.addEventListener('hashchange', function () {
+        const modal = find(window.location.hash.slice(1));
+        if (modal) open(modal);
+        else close();
+    });
+
+    const linked = find(window.location.hash.slice(1));
+    if (linked) open(linked);
+})();
@@ -0,0 +1,140 @@
+/**
+ * Missbrauchsschutz für /api/contact
+ *
+ * Jede Prüfung liefert `null` (ok) oder ein Objekt
+ * `{ status, code, retryAfter? }`, das contact.js als JSON-Fehler ausgibt.
+ * Der Text dazu kommt aus dem Katalog (`abuse.<code>`).
+ *
+ * Optionale env vars:
+ * - ALLOWED_ORIGINS (Komma-Liste, default: https://marknate.ch,https://www.marknate.ch)
+ * - ALLOW_MISSING_ORIGIN ("true": Anfragen ohne Origin und Referer zulassen,
+ *   z. B. für curl beim Testen – sonst 403)
+ * - RATE_LIMIT_MAX (default: 5 Anfragen) / RATE_LIMIT_WINDOW (default: 600 Sekunden)
+ * - MIN_SUBMIT_SECONDS (default: 3) / FORM_TOKEN_MAX_AGE (default: 86400 Sekunden)
+ * - MAX_LINKS (default: 2)
+ * Optionales Binding:
+ * - SPAM_GUARD (KV) – Zähler pro IP und Hashes bereits gesendeter Nachrichten
+ */
+import { sha256Hex } from './crypto.js';
+import { FORM_TOKEN_FIELD, verifyFormToken } from './form-token.js';
+
+const DEFAULT_ORIGINS = ['https://marknate.ch', 'https://www.marknate.ch'];
+const DUPLICATE_TTL_SECONDS = 24 * 60 * 60;
+
+export function allowedOrigins(env) {
+    const configured = String(env?.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean);
+    return configured.length > 0 ? configured : DEFAULT_ORIGINS;
+}
+
+/**
+ * Origin des Aufrufers (Origin-Header, sonst Referer). Leer, wenn keiner gesendet wurde.
+ */
+export function requestOrigin(request) {
+    const origin = request.headers.get('origin');
+    if (origin) return origin;
+
+    const referer = request.headers.get('referer');
+    if (!referer) return '';
+    try {
+        return new URL(referer).origin;
+    } catch {
+        return '';
+    }
+}
+
+// Ohne Origin und Referer kommt eine Anfrage fast nur von Skripten
+export function isAllowedOrigin(env, request, origin) {
+    if (!origin) return String(env?.ALLOW_MISSING_ORIGIN) === 'true';
+    // Same-origin (Preview-Deployments, wrangler dev) ist immer erlaubt
+    if (origin === new URL(request.url).origin) return true;
+    return allowedOrigins(env).includes(origin);
+}
+
+export function checkOrigin(env, request) {
+    return isAllowedOrigin(env, request, requestOrigin(request))
+        ? null
+        : { status: 403, code: 'origin' };
+}
+
+/**
+ * Sliding Window pro Endpunkt und IP: Zeitstempel der letzten Anfragen im KV
+ * unter rl:<scope>:<ip> – jeder Endpunkt (contact, book, admin, …) hat sein eigenes Budget.
+ */
+export async function checkRateLimit(env, scope, ip) {
+    if (!env?.SPAM_GUARD || !ip) return null;
+
+    const max = numberVar(env.RATE_LIMIT_MAX, 5);
+    const windowSeconds = numberVar(env.RATE_LIMIT_WINDOW, 600);
+    const now = Date.now();
+    const key = `rl:${scope}:${ip}`;
+
+    const hits = ((await env.SPAM_GUARD.get(key, 'json')) || []).filter(
+        (ts) => now - ts < windowSeconds * 1000
+    );
+
+    if (hits.length >= max) {
+        const retryAfter = Math.ceil((hits[0] + windowSeconds * 1000 - now) / 1000);
+        return { status: 429, code: 'rateLimited', retryAfter: Math.max(retryAfter, 1) };
+    }
+
+    hits.push(now);
+    await env.SPAM_GUARD.put(key, JSON.stringify(hits), {
+        expirationTtl: Math.max(windowSeconds, 60),
+    });
+    return null;
+}
+
+/**
+ * Mindestdauer zwischen Seitenaufruf und Absenden (signierter Zeitstempel).
+ */
+export async function checkSubmitTiming(env, formData) {
+    const secret = env?.FORM_TOKEN_SECRET;
+    if (!secret) return null;
+
+    const { valid, age } = await verifyFormToken(secret, formData.get(FORM_TOKEN_FIELD));
+    if (!valid) return { status: 403, code: 'tokenInvalid' };
+    if (age > numberVar(env.FORM_TOKEN_MAX_AGE, 86400)) return { status: 403, code: 'tokenExpired' };
+    if (age < numberVar(env.MIN_SUBMIT_SECONDS, 3)) return { status: 403, code: 'tooFast' };
+    return null;
+}
+
+export function checkContent(env, message) {
+    const links = (message.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+    return links > numberVar(env?.MAX_LINKS, 2) ? { status: 403, code: 'tooManyLinks' } : null;
+}
+
+/**
+ * Gleiche Nachricht innerhalb von 24 Stunden → Duplikat.
+ * Zählt erst, wenn recordMessage() sie nach erfolgreicher Annahme vermerkt hat –
+ * schlägt der Versand fehl, darf die Person es erneut versuchen.
+ */
+export async function checkDuplicate(env, message) {
+    if (!env?.SPAM_GUARD) return null;
+
+    if (await env.SPAM_GUARD.get(await duplicateKey(message))) {
+        return { status: 429, code: 'duplicate' };
+    }
+    return null;
+}
+
+/**
+ * Vermerkt eine angenommene (gespeicherte oder versendete) Nachricht für checkDuplicate().
+ */
+export async function recordMessage(env, message) {
+    if (!env?.SPAM_GUARD) return;
+
+    await env.SPAM_GUARD.put(await duplicateKey(message), '1', { expirationTtl: DUPLICATE_TTL_SECONDS });
+}
+
+async function duplicateKey(message) {
+    const normalized = message.toLowerCase().replace(/\s+/g, ' ').trim();
+    return `dup:${await sha256Hex(normalized)}`;
+}
+
+function numberVar(value, fallback) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
@@ -0,0 +1,49 @@
+/**
+ * Anmeldung für /admin
+ *
+ * Passwort aus dem Secret ADMIN_PASSWORD, danach ein signiertes
+ * Session-Cookie (`<ablauf>.<hmac>`), signiert mit ADMIN_SESSION_SECRET
+ * (Fallback: ADMIN_PASSWORD – ein Passwortwechsel beendet dann alle Sessions).
+ */
+import { hmacSha256, sha256Hex, timingSafeEqual } from '../crypto.js';
+import { readCookie } from '../http.js';
+
+export const SESSION_COOKIE = 'marknate_admin';
+const SESSION_SECONDS = 8 * 60 * 60;
+
+export function isAdminConfigured(env) {
+    return Boolean(env?.ADMIN_PASSWORD);
+}
+
+export async function verifyPassword(env, password) {
+    // Hashes vergleichen, damit die Länge des Passworts nicht durchsickert
+    const [expected, actual] = await Promise.all([
+        sha256Hex(env.ADMIN_PASSWORD),
+        sha256Hex(String(password || '')),
+    ]);
+    return timingSafeEqual(expected, actual);
+}
+
+export async function createSessionCookie(env, now = Date.now()) {
+    const expires = String(Math.floor(now / 1000) + SESSION_SECONDS);
+    const value = `${expires}.${await hmacSha256(sessionSecret(env), `admin.${expires}`)}`;
+    return `${SESSION_COOKIE}=${value}; Path=/admin; Max-Age=${SESSION_SECONDS}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+export function clearSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=/admin; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+}
+
+export async function hasSession(env, request, now = Date.now()) {
+    const value = readCookie(request, SESSION_COOKIE);
+    const [expires, signature] = value.split('.');
+    if (!/^\d+$/.test(expires || '') || !signature) return false;
+    if (Number(expires) * 1000 < now) return false;
+
+    const expected = await hmacSha256(sessionSecret(env), `admin.${expires}`);
+    return timingSafeEqual(expected, signature);
+}
+
+function sessionSecret(env) {
+    return env.ADMIN_SESSION_SECRET || env.ADMIN_PASSWORD;
+}
@@ -0,0 +1,209 @@
+/**
+ * HTML-Ansichten und CSV-Export für /admin
+ *
+ * Styling über das Stylesheet der Website (/assets/css/site.css, erzeugt von
+ * scripts/build.mjs) – die Klassen hier werden dafür mit eingelesen (tailwind.config.js).
+ */
+import { BUCKETS } from '../analytics.js';
+import { contactSchema, extraFields, fieldLabel } from '../form-schema.js';
+import { escapeHtml } from '../html.js';
+
+const REVIEW_LABELS = {
+    open: 'Offen',
+    answered: 'Beantwortet',
+    spam: 'Spam',
+};
+
+const DELIVERY_LABELS = {
+    pending: 'Ausstehend',
+    sent: 'Zugestellt',
+    retrying: 'Erneuter Versuch',
+    failed: 'Fehlgeschlagen',
+};
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="de">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)} | Marknate Admin</title>
+    <link rel="icon" type="image/png" href="/fav.png">
+    <link rel="stylesheet" href="/assets/css/site.css">
+</head>
+<body class="bg-gray-50 text-brand-text min-h-screen">
+${body}
+</body>
+</html>`;
+}
+
+export function loginPage({ error = '' } = {}) {
+    return layout('Anmelden', `
+    <main class="min-h-screen flex items-center justify-center p-6">
+        <form method="POST" action="/admin/login"
+            class="w-full max-w-sm bg-white p-8 rounded-[2rem] shadow-2xl shadow-brand-light/50 border border-gray-100 space-y-6">
+            <h1 class="text-2xl font-bold">Marknate Admin</h1>
+            ${error ? `<p class="p-3 rounded-xl bg-red-50 text-red-700 border border-red-200 text-sm font-medium">${escapeHtml(error)}</p>` : ''}
+            <label class="block">
+                <span class="text-sm text-gray-500">Passwort</span>
+                <input type="password" name="password" autocomplete="current-password" required autofocus
+                    class="w-full mt-1 px-4 py-3 rounded-xl bg-gray-50 border border-gray-200 focus:border-brand focus:ring-2 focus:ring-brand/20 outline-none">
+            </label>
+            <button type="submit" class="w-full py-4 bg-brand text-white font-bold rounded-xl hover:bg-brand-dark transition-all">Anmelden</button>
+        </form>
+    </main>`);
+}
+
+/**
+ * `next`: Cursor der folgenden Seite (fehlt auf der letzten), `paged`: nicht die erste Seite.
+ */
+export function leadsPage({ leads, next = '', paged = false, q, review, notice = '' }) {
+    const query = new URLSearchParams();
+    if (q) query.set('q', q);
+    if (review) query.set('review', review);
+    const exportUrl = `/admin/export.csv${query.toString() ? `?${query}` : ''}`;
+    const firstUrl = `/admin${query.toString() ? `?${query}` : ''}`;
+    const nextQuery = new URLSearchParams(query);
+    if (next) nextQuery.set('cursor', next);
+
+    const filters = ['', 'open', 'answered', 'spam']
+        .map((value) => {
+            const params = new URLSearchParams();
+            if (q) params.set('q', q);
+            if (value) params.set('review', value);
+            const active = value === (review || '');
+            return `<a href="/admin${params.toString() ? `?${params}` : ''}"
+                class="px-4 py-2 rounded-xl text-sm font-bold border ${active ? 'bg-brand text-white border-brand' : 'bg-white border-gray-200 hover:border-brand'}">${value ? REVIEW_LABELS[value] : 'Alle'}</a>`;
+        })
+        .join('');
+
+    const rows = leads.map(leadRow).join('') ||
+        '<p class="p-8 text-center text-gray-500 bg-white rounded-2xl border border-gray-100">Keine Anfragen gefunden.</p>';
+
+    return layout('Anfragen', `
+    <header class="bg-white border-b border-gray-100">
+        <div class="max-w-6xl mx-auto px-6 py-5 flex items-center justify-between gap-4">
+            <h1 class="text-xl font-bold">Marknate <span class="text-brand">Anfragen</span></h1>
+            <div class="flex items-center gap-6">
+                <a href="/admin/analytics.csv" class="text-sm font-bold text-gray-500 hover:text-brand">Statistik (CSV)</a>
+                <form method="POST" action="/admin/logout">
+                    <button type="submit" class="text-sm font-bold text-gray-500 hover:text-brand">Abmelden</button>
+                </form>
+            </div>
+        </div>
+    </header>
+    <main class="max-w-6xl mx-auto px-6 py-8 space-y-6">
+        ${notice ? `<p class="p-4 rounded-xl bg-red-50 text-red-700 border border-red-200 text-sm font-medium">${escapeHtml(notice)}</p>` : ''}
+        <div class="flex flex-wrap items-center gap-3">
+            <form method="GET" action="/admin" class="flex-1 min-w-[240px] flex gap-2">
+                ${review ? `<input type="hidden" name="review" value="${escapeHtml(review)}">` : ''}
+                <input type="search" name="q" value="${escapeHtml(q)}" placeholder="Name, E-Mail oder Nachricht suchen"
+                    class="flex-1 px-4 py-2 rounded-xl bg-white border border-gray-200 focus:border-brand focus:ring-2 focus:ring-brand/20 outline-none">
+                <button type="submit" class="px-4 py-2 rounded-xl bg-brand text-white font-bold">Suchen</button>
+            </form>
+            ${filters}
+            <a href="${escapeHtml(exportUrl)}" class="px-4 py-2 rounded-xl text-sm font-bold border border-gray-200 bg-white hover:border-brand">CSV exportieren</a>
+        </div>
+        <p class="text-sm text-gray-500">${leads.length} Anfragen${paged ? ' (weitere Seite)' : ''}</p>
+        <div class="space-y-4">${rows}</div>
+        <nav class="flex justify-between gap-4">
+            ${paged ? `<a href="${escapeHtml(firstUrl)}" class="text-sm font-bold text-brand hover:text-brand-dark">Zu den neuesten Anfragen</a>` : '<span></span>'}
+            ${next ? `<a href="/admin?${escapeHtml(nextQuery.toString())}" class="text-sm font-bold text-brand hover:text-brand-dark">Ältere Anfragen</a>` : ''}
+        </nav>
+    </main>`);
+}
+
+function leadRow(lead) {
+    const date = new Date(lead.createdAt).toLocaleString('de-CH', { timeZone: 'Europe/Zurich' });
+    const review = lead.review || 'open';
+    const badge = {
+        open: 'bg-brand-light/50 text-brand',
+        answered: 'bg-gray-100 text-gray-600',
+        spam: 'bg-red-50 text-red-700',
+    }[review];
+
+    const actions = Object.keys(REVIEW_LABELS)
+        .filter((value) => value !== review)
+        .map((value) => `<button type="submit" name="review" value="${value}"
+            class="px-3 py-1.5 rounded-lg text-xs font-bold border border-gray-200 hover:border-brand hover:text-brand">Als ${REVIEW_LABELS[value].toLowerCase()} markieren</button>`)
+        .join('');
+
+    return `
+        <article class="bg-white p-6 rounded-2xl border border-gray-100 shadow-sm">
+            <div class="flex flex-wrap items-start justify-between gap-4 mb-3">
+                <div>
+                    <h2 class="font-bold text-lg">${escapeHtml(`${lead.vorname} ${lead.nachname}`)}</h2>
+                    <a href="mailto:${escapeHtml(lead.email)}" class="text-brand font-medium">${escapeHtml(lead.email)}</a>
+                </div>
+                <div class="text-right text-sm text-gray-500">
+                    <span class="inline-block px-3 py-1 rounded-full text-xs font-bold ${badge}">${REVIEW_LABELS[review]}</span>
+                    <p class="mt-1">${escapeHtml(date)} · ${escapeHtml((lead.lang || 'de').toUpperCase())} · Mail: ${escapeHtml(DELIVERY_LABELS[lead.status] || lead.status)}</p>
+                </div>
+            </div>
+            ${extraFields(contactSchema, lead).map(({ label, value }) => `<p class="text-sm text-gray-500 mb-1"><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('')}
+            <p class="whitespace-pre-line text-gray-700">${escapeHtml(lead.message)}</p>
+            ${attachmentList(lead)}
+            <form method="POST" action="/admin/leads/${encodeURIComponent(lead.id)}" class="flex flex-wrap gap-2 mt-4">${actions}</form>
+        </article>`;
+}
+
+function attachmentList(lead) {
+    if (!lead.attachments?.length) return '';
+    const links = lead.attachments
+        .map((file, index) => `<a href="/admin/leads/${encodeURIComponent(lead.id)}/attachments/${index + 1}"
+            class="px-3 py-1.5 rounded-lg text-xs font-bold border border-gray-200 hover:border-brand hover:text-brand">${escapeHtml(file.name)}</a>`)
+        .join('');
+    return `<div class="flex flex-wrap items-center gap-2 mt-3"><span class="text-sm text-gray-500 font-bold">Anhänge:</span>${links}</div>`;
+}
+
+export function leadsCsv(leads) {
+    // Zusätzliche Felder aus dem Formular-Schema (Firma, Telefon, …) als eigene Spalten
+    const extraColumns = contactSchema.fields.filter(
+        (field) => !['vorname', 'nachname', 'email', 'message', 'privacy'].includes(field.name)
+    );
+    const header = [
+        'ID', 'Datum', 'Vorname', 'Nachname', 'E-Mail',
+        ...extraColumns.map((field) => fieldLabel(field, 'de')),
+        'Nachricht', 'Sprache', 'Versand', 'Bearbeitung',
+    ];
+    const rows = leads.map((lead) => [
+        lead.id,
+        lead.createdAt,
+        lead.vorname,
+        lead.nachname,
+        lead.email,
+        ...extraColumns.map((field) => (field.type === 'file'
+            ? (lead[field.name] || []).map((file) => file.name).join(', ')
+            : lead[field.name] || '')),
+        lead.message,
+        lead.lang,
+        lead.status,
+        lead.review || 'open',
+    ]);
+
+    // BOM + Semikolon, damit Excel (de-CH) die Datei direkt korrekt öffnet
+    return '\uFEFF' + [header, ...rows].map((row) => row.map(csvCell).join(';')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Besucherstatistik (functions/_lib/analytics.js): eine Zeile pro Tag, Typ und Name.
+ */
+export function analyticsCsv(report) {
+    const rows = [['Datum', 'Typ', 'Name', 'Anzahl']];
+    for (const day of report.days) {
+        for (const bucket of BUCKETS) {
+            for (const [name, count] of Object.entries(day[bucket] || {})) {
+                rows.push([day.date, bucket, name, count]);
+            }
+        }
+    }
+    return '\uFEFF' + rows.map((row) => row.map(csvCell).join(';')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    let text = String(value ?? '');
+    // Formel-Injection in Tabellenprogrammen verhindern (auch nach Tab oder CR am Anfang)
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
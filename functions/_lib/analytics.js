@@ -0,0 +1,194 @@
+/**
+ * Besucherstatistik ohne Cookies (Workers KV, Binding: ANALYTICS)
+ *
+ * Es werden keine einzelnen Besuche gespeichert, sondern nur Tagessummen
+ * (UTC):
+ *   { date, pageviews: { "/de/": 12 }, sections: { "preise": 7 }, clicks: { "whatsapp": 2 },
+ *     conversions: { "contact": 1 }, referrers: { "google.com": 4 } }
+ * Keine IP-Adressen, keine IDs, kein User-Agent – Besucher lassen sich weder
+ * wiedererkennen noch über Tage verfolgen.
+ *
+ * Gezählt werden nur bekannte Namen (ALLOWED_NAMES) und höchstens MAX_REFERRERS
+ * Referrer pro Tag – die Dokumente bleiben klein, egal was gesendet wird.
+ *
+ * KV erlaubt nur einen Schreibvorgang pro Sekunde und Schlüssel und kennt kein
+ * atomares Inkrement. Deshalb schreibt jeder Request in einen zufälligen von
+ * SHARDS Schlüsseln `shard:<YYYY-MM-DD>:<n>`; der Cron (src/worker.js) fasst
+ * vergangene Tage zu `day:<YYYY-MM-DD>` zusammen. Verloren geht ein Zähler nur
+ * noch, wenn zwei Requests gleichzeitig denselben Shard treffen.
+ */
+import routes from '../../templates/pages.json';
+
+const DAY_PREFIX = 'day:';
+const SHARD_PREFIX = 'shard:';
+const SHARDS = 16;
+
+// Event-Typ → Zähler in der Tagessumme
+export const EVENT_TYPES = {
+    pageview: 'pageviews',
+    section: 'sections',
+    click: 'clicks',
+    conversion: 'conversions',
+};
+
+export const BUCKETS = [...Object.values(EVENT_TYPES), 'referrers'];
+
+// Erlaubte Namen je Event-Typ: Seiten aus templates/pages.json, die <section id>
+// aus templates/page.html, die CTAs aus assets/js/analytics.js und die Formulare
+const ALLOWED_NAMES = {
+    pageview: new Set(Object.values(routes).flatMap((paths) => Object.values(paths))),
+    section: new Set(['philosophie', 'schwerpunkte', 'preise', 'faq', 'kontakt']),
+    click: new Set(['booking', 'whatsapp', 'contact', 'email', 'phone']),
+    conversion: new Set(['contact', 'booking']),
+};
+
+// Weitere Referrer eines Tages landen unter OTHER_REFERRER
+const MAX_REFERRERS = 100;
+const OTHER_REFERRER = 'andere';
+
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_REPORT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOST_PATTERN = /^(?=.{1,253}$)[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+export function hasAnalyticsStore(env) {
+    return Boolean(env?.ANALYTICS);
+}
+
+/**
+ * Prüft den Body von /api/event und liefert nur gültige Events,
+ * z. B. { events: [{ type: 'pageview', name: '/de/' }], referrer: 'google.com' }.
+ */
+export function parseEvents(payload) {
+    const events = (Array.isArray(payload?.events) ? payload.events : [])
+        .slice(0, MAX_EVENTS_PER_REQUEST)
+        .filter((event) => EVENT_TYPES[event?.type] && ALLOWED_NAMES[event.type].has(String(event.name || '')))
+        .map((event) => ({ type: event.type, name: String(event.name) }));
+
+    const referrer = String(payload?.referrer || '').toLowerCase().replace(/^www\./, '');
+    return {
+        events,
+        referrer: HOST_PATTERN.test(referrer) ? referrer : '',
+    };
+}
+
+/**
+ * Zählt die Events zur Tagessumme eines zufälligen Shards dazu
+ * (ein KV-Read und -Write pro Request).
+ */
+export async function recordEvents(env, { events, referrer }, now = new Date()) {
+    if (events.length === 0) return;
+
+    const date = now.toISOString().slice(0, 10);
+    const key = `${SHARD_PREFIX}${date}:${Math.floor(Math.random() * SHARDS)}`;
+    const day = (await env.ANALYTICS.get(key, 'json')) || emptyDay(date);
+
+    for (const { type, name } of events) {
+        increment(day, EVENT_TYPES[type], name);
+    }
+    if (referrer && events.some((event) => event.type === 'pageview')) {
+        increment(day, 'referrers', referrer);
+    }
+
+    await env.ANALYTICS.put(key, JSON.stringify(day));
+}
+
+/**
+ * Fasst die Shards vergangener Tage zu `day:<date>` zusammen und löscht sie.
+ * Läuft im Cron; der laufende Tag bleibt in Shards, bis er vorbei ist.
+ */
+export async function compactAnalytics(env, now = new Date()) {
+    if (!hasAnalyticsStore(env)) return;
+
+    const today = now.toISOString().slice(0, 10);
+    const shards = await listShards(env);
+
+    for (const [date, keys] of shards) {
+        if (date >= today) continue;
+
+        const day = (await env.ANALYTICS.get(DAY_PREFIX + date, 'json')) || emptyDay(date);
+        for (const key of keys) {
+            merge(day, await env.ANALYTICS.get(key, 'json'));
+        }
+        await env.ANALYTICS.put(DAY_PREFIX + date, JSON.stringify(day));
+        await Promise.all(keys.map((key) => env.ANALYTICS.delete(key)));
+    }
+}
+
+/**
+ * Tagessummen von `from` bis `to` (YYYY-MM-DD, beide inklusive) plus Gesamtsummen.
+ * Noch nicht zusammengefasste Tage (heute, ggf. gestern) kommen aus den Shards.
+ */
+export async function loadReport(env, from, to) {
+    const dates = dateRange(from, to);
+    const shards = await listShards(env);
+    const days = await Promise.all(
+        dates.map(async (date) => {
+            const day = (await env.ANALYTICS.get(DAY_PREFIX + date, 'json')) || emptyDay(date);
+            for (const key of shards.get(date) || []) {
+                merge(day, await env.ANALYTICS.get(key, 'json'));
+            }
+            return day;
+        })
+    );
+
+    const totals = emptyBuckets();
+    for (const day of days) {
+        merge(totals, day);
+    }
+
+    return { from: dates[0], to: dates[dates.length - 1], totals, days };
+}
+
+// Datum → Shard-Schlüssel
+async function listShards(env) {
+    const shards = new Map();
+    let cursor;
+
+    do {
+        const page = await env.ANALYTICS.list({ prefix: SHARD_PREFIX, cursor });
+        cursor = page.list_complete ? undefined : page.cursor;
+        for (const { name } of page.keys) {
+            const date = name.slice(SHARD_PREFIX.length, SHARD_PREFIX.length + 10);
+            shards.set(date, [...(shards.get(date) || []), name]);
+        }
+    } while (cursor);
+
+    return shards;
+}
+
+function merge(target, day) {
+    for (const bucket of BUCKETS) {
+        for (const [name, count] of Object.entries(day?.[bucket] || {})) {
+            increment(target, bucket, name, count);
+        }
+    }
+}
+
+function emptyDay(date) {
+    return { date, ...emptyBuckets() };
+}
+
+function emptyBuckets() {
+    return Object.fromEntries(BUCKETS.map((bucket) => [bucket, {}]));
+}
+
+function increment(day, bucket, name, count = 1) {
+    day[bucket] = day[bucket] || {};
+    const counters = day[bucket];
+    const key = bucket === 'referrers' && !Object.hasOwn(counters, name) && Object.keys(counters).length >= MAX_REFERRERS
+        ? OTHER_REFERRER
+        : name;
+    counters[key] = (Object.hasOwn(counters, key) ? counters[key] : 0) + count;
+}
+
+// Höchstens MAX_REPORT_DAYS Tage, gezählt ab `to`
+function dateRange(from, to) {
+    const dates = [];
+    const end = Date.parse(`${to}T00:00:00Z`);
+    const start = Math.max(Date.parse(`${from}T00:00:00Z`), end - (MAX_REPORT_DAYS - 1) * DAY_MS);
+    for (let time = start; time <= end; time += DAY_MS) {
+        dates.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return dates;
+}
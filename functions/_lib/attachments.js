@@ -0,0 +1,229 @@
+/**
+ * Dateianhänge zum Kontaktformular (R2)
+ *
+ * Uploads werden unter `attachments/<lead-id>/<n>-<dateiname>` abgelegt und
+ * nur als Metadaten ({ key, name, type, size }) mit der Anfrage gespeichert.
+ * Die Benachrichtigung verlinkt sie über signierte, ablaufende URLs
+ * (/api/attachment?key=…&expires=…&sig=…); solange die Dateien zusammen
+ * klein genug sind, hängen sie zusätzlich direkt an der Mail.
+ * Grenzen für Anzahl, Grösse und Typ stehen im Formular-Schema (assets/forms/contact.json).
+ * Der Typ kommt aus den ersten Bytes der Datei (detectFileType), nicht aus dem
+ * File.type des Browsers; Downloads gehen immer als Anhang mit nosniff raus.
+ *
+ * Binding:
+ * - ATTACHMENTS (R2) – ohne Binding werden Uploads abgelehnt
+ * Optionale env vars:
+ * - ATTACHMENT_URL_SECRET – signiert die Links (ohne Secret: nur Mail-Anhang)
+ * - ATTACHMENT_URL_TTL (default: 604800 Sekunden = 7 Tage)
+ * - MAIL_ATTACHMENT_MAX_BYTES (default: 10 MB für alle Anhänge einer Mail)
+ * - SITE_URL (default: https://marknate.ch) – Basis für die Links
+ */
+import { hmacSha256, timingSafeEqual } from './crypto.js';
+import { contactSchema } from './form-schema.js';
+
+const KEY_PREFIX = 'attachments/';
+const DEFAULT_URL_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAIL_MAX_BYTES = 10 * 1024 * 1024;
+
+const ACCEPTED_TYPES = contactSchema.fields.find((field) => field.type === 'file')?.accept || [];
+
+// Magic Bytes am Dateianfang
+const SIGNATURES = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Word und PowerPoint sind ZIP-Archive, erkennbar am Ordner der Inhalte
+const OFFICE_FOLDERS = {
+    'word/': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'ppt/': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+export function hasAttachmentStore(env) {
+    return Boolean(env?.ATTACHMENTS);
+}
+
+/**
+ * MIME-Typ einer Datei anhand ihres Inhalts – '' für alles, was keine PDF-,
+ * JPEG-, PNG-, Word- oder PowerPoint-Datei ist.
+ */
+export async function detectFileType(file) {
+    const head = await readBytes(file, 0, 8);
+
+    const match = SIGNATURES.find((signature) => startsWith(head, signature.bytes));
+    if (match) return match.type;
+    if (!startsWith(head, ZIP_SIGNATURE)) return '';
+
+    const names = await zipEntryNames(file);
+    if (!names.includes('[Content_Types].xml')) return '';
+    const folder = Object.keys(OFFICE_FOLDERS).find((prefix) => names.some((name) => name.startsWith(prefix)));
+    return folder ? OFFICE_FOLDERS[folder] : '';
+}
+
+/**
+ * `types` sind die Typen aus detectFileType, in derselben Reihenfolge wie `files`.
+ *
+ * @returns {Promise<{ key: string, name: string, type: string, size: number }[]>}
+ */
+export async function storeAttachments(env, leadId, files, types) {
+    const stored = [];
+    for (const [index, file] of files.entries()) {
+        const name = safeFileName(file.name);
+        const key = `${KEY_PREFIX}${leadId}/${index + 1}-${name}`;
+        const type = types[index];
+        await env.ATTACHMENTS.put(key, await file.arrayBuffer(), {
+            httpMetadata: { contentType: type },
+            customMetadata: { leadId, name },
+        });
+        stored.push({ key, name, type, size: file.size });
+    }
+    return stored;
+}
+
+/**
+ * Signierte Download-Links für die Benachrichtigung (leer ohne ATTACHMENT_URL_SECRET).
+ *
+ * @returns {Promise<{ name: string, size: number, url: string }[]>}
+ */
+export async function attachmentLinks(env, attachments = [], now = Date.now()) {
+    const secret = env?.ATTACHMENT_URL_SECRET;
+    if (!secret) return [];
+
+    const expires = Math.floor(now / 1000) + numberVar(env.ATTACHMENT_URL_TTL, DEFAULT_URL_TTL_SECONDS);
+    const base = String(env.SITE_URL || 'https://marknate.ch').replace(/\/+$/, '');
+
+    return Promise.all(
+        attachments.map(async ({ key, name, size }) => {
+            const params = new URLSearchParams({
+                key,
+                expires: String(expires),
+                sig: await hmacSha256(secret, `${key}:${expires}`),
+            });
+            return { name, size, url: `${base}/api/attachment?${params}` };
+        })
+    );
+}
+
+/**
+ * Prüft Signatur und Ablauf eines Links, liefert den Objekt-Key oder null.
+ */
+export async function verifyAttachmentLink(env, searchParams, now = Date.now()) {
+    const secret = env?.ATTACHMENT_URL_SECRET;
+    const key = searchParams.get('key') || '';
+    const expires = searchParams.get('expires') || '';
+    const sig = searchParams.get('sig') || '';
+
+    if (!secret || !key.startsWith(KEY_PREFIX) || !/^\d+$/.test(expires) || !sig) return null;
+    if (Number(expires) < Math.floor(now / 1000)) return null;
+
+    const expected = await hmacSha256(secret, `${key}:${expires}`);
+    return timingSafeEqual(expected, sig) ? key : null;
+}
+
+/**
+ * Dateien als Mail-Anhang (Base64), solange sie zusammen unter
+ * MAIL_ATTACHMENT_MAX_BYTES bleiben – sonst nur die Links.
+ *
+ * @returns {Promise<{ filename: string, contentType: string, content: string }[]>}
+ */
+export async function mailAttachments(env, attachments = []) {
+    if (!hasAttachmentStore(env) || attachments.length === 0) return [];
+
+    const total = attachments.reduce((sum, file) => sum + file.size, 0);
+    if (total > numberVar(env.MAIL_ATTACHMENT_MAX_BYTES, DEFAULT_MAIL_MAX_BYTES)) return [];
+
+    const files = [];
+    for (const { key, name, type } of attachments) {
+        const object = await env.ATTACHMENTS.get(key);
+        if (!object) continue;
+        files.push({ filename: name, contentType: type, content: toBase64(await object.arrayBuffer()) });
+    }
+    return files;
+}
+
+/**
+ * Download-Response für ein Objekt aus dem Bucket (immer als Download, nie inline).
+ */
+export async function attachmentResponse(env, key, headers = {}) {
+    const object = await env.ATTACHMENTS.get(key);
+    if (!object) return null;
+
+    const name = object.customMetadata?.name || key.split('/').pop();
+    // Ältere Uploads tragen noch den Typ des Browsers
+    const type = object.httpMetadata?.contentType;
+    return new Response(object.body, {
+        headers: {
+            ...headers,
+            'Content-Type': ACCEPTED_TYPES.includes(type) ? type : 'application/octet-stream',
+            'Content-Disposition': `attachment; filename="${name}"`,
+            'X-Content-Type-Options': 'nosniff',
+        },
+    });
+}
+
+// Nur ASCII-Buchstaben, Ziffern, Punkt, Binde- und Unterstrich – sicher für Keys und Header
+function safeFileName(name) {
+    const cleaned = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\w.-]+/g, '_')
+        .replace(/^[._]+/, '');
+    return cleaned.slice(-100) || 'datei';
+}
+
+function startsWith(bytes, signature) {
+    return signature.every((byte, index) => bytes[index] === byte);
+}
+
+// Dateinamen aus dem zentralen Verzeichnis am Ende des Archivs – gelesen werden
+// nur das Ende der Datei und das Verzeichnis, nicht die komprimierten Inhalte
+async function zipEntryNames(file) {
+    // End of Central Directory: 22 Bytes plus Kommentar (höchstens 64 KB)
+    const tailStart = Math.max(0, file.size - 22 - 0xffff);
+    const tail = await readBytes(file, tailStart, file.size);
+    const tailView = new DataView(tail.buffer);
+
+    for (let end = tail.length - 22; end >= 0; end--) {
+        if (tailView.getUint32(end, true) !== 0x06054b50) continue;
+
+        const count = tailView.getUint16(end + 10, true);
+        const size = tailView.getUint32(end + 12, true);
+        const start = tailView.getUint32(end + 16, true);
+        if (start + size > tailStart + end) return [];
+
+        const directory = await readBytes(file, start, start + size);
+        const view = new DataView(directory.buffer);
+        const decoder = new TextDecoder();
+        const names = [];
+        let offset = 0;
+        for (let i = 0; i < count && offset + 46 <= directory.length; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const nameLength = view.getUint16(offset + 28, true);
+            names.push(decoder.decode(directory.subarray(offset + 46, offset + 46 + nameLength)));
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+        return names;
+    }
+    return [];
+}
+
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // In Blöcken, damit grosse Dateien den Call-Stack nicht sprengen
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function numberVar(value, fallback) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
@@ -0,0 +1,153 @@
+/**
+ * Verfügbarkeit für das kostenlose 30-Minuten Strategiegespräch
+ *
+ * Die Standardregeln lassen sich über die env var BOOKING_RULES (JSON)
+ * überschreiben, z. B.:
+ *   {"weekly": {"1": [["09:00", "12:00"]]}, "blackoutDates": ["2026-12-24"]}
+ *
+ * Wochentage: 0 = Sonntag … 6 = Samstag. Zeiten in `timeZone`.
+ */
+
+export const DEFAULT_RULES = {
+    timeZone: 'Europe/Zurich',
+    slotMinutes: 30,
+    // Mindestvorlauf und wie weit im Voraus gebucht werden kann
+    minNoticeHours: 24,
+    horizonDays: 21,
+    weekly: {
+        1: [['09:00', '12:00'], ['13:30', '17:00']],
+        2: [['09:00', '12:00'], ['13:30', '17:00']],
+        3: [['09:00', '12:00'], ['13:30', '17:00']],
+        4: [['09:00', '12:00'], ['13:30', '17:00']],
+        5: [['09:00', '12:00']],
+    },
+    blackoutDates: [],
+};
+
+export function loadRules(env) {
+    if (!env?.BOOKING_RULES) return DEFAULT_RULES;
+    try {
+        return { ...DEFAULT_RULES, ...JSON.parse(env.BOOKING_RULES) };
+    } catch (err) {
+        console.error(`BOOKING_RULES ist kein gültiges JSON: ${String(err)}`);
+        return DEFAULT_RULES;
+    }
+}
+
+/**
+ * Alle freien Termine ab `from` (YYYY-MM-DD, default heute) für `days` Tage.
+ *
+ * @param {Set<string>} taken Startzeiten (ISO) bereits gebuchter Termine
+ * @returns {{ date: string, slots: { start: string, end: string, time: string }[] }[]}
+ */
+export function listSlots(rules, { from, days, taken = new Set(), now = Date.now() } = {}) {
+    const today = localDate(now, rules.timeZone);
+    const start = from && from > today ? from : today;
+    const lastDate = addDays(today, rules.horizonDays);
+    const earliest = now + rules.minNoticeHours * 60 * 60 * 1000;
+    const result = [];
+
+    for (let i = 0; i < (days || rules.horizonDays); i++) {
+        const date = addDays(start, i);
+        if (date > lastDate) break;
+        if (rules.blackoutDates.includes(date)) continue;
+
+        const ranges = rules.weekly[weekday(date)] || [];
+        const slots = [];
+
+        for (const [open, close] of ranges) {
+            for (let minutes = toMinutes(open); minutes + rules.slotMinutes <= toMinutes(close); minutes += rules.slotMinutes) {
+                const startMs = zonedToUtc(date, minutes, rules.timeZone);
+                const startIso = new Date(startMs).toISOString();
+                if (startMs < earliest || taken.has(startIso)) continue;
+
+                slots.push({
+                    start: startIso,
+                    end: new Date(startMs + rules.slotMinutes * 60 * 1000).toISOString(),
+                    time: fromMinutes(minutes),
+                });
+            }
+        }
+
+        if (slots.length > 0) {
+            result.push({ date, slots });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Prüft, ob `startIso` ein regulärer, noch freier Termin ist.
+ */
+export function findSlot(rules, startIso, { taken, now } = {}) {
+    const startMs = Date.parse(startIso);
+    if (Number.isNaN(startMs)) return null;
+
+    const date = localDate(startMs, rules.timeZone);
+    const [day] = listSlots(rules, { from: date, days: 1, taken, now });
+    if (!day || day.date !== date) return null;
+
+    return day.slots.find((slot) => slot.start === new Date(startMs).toISOString()) || null;
+}
+
+// ── Datum & Zeitzone ─────────────────────────────────────────────
+
+function localDate(ms, timeZone) {
+    const parts = zonedParts(ms, timeZone);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+function zonedParts(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(new Date(ms));
+    const values = {};
+    for (const { type, value } of parts) values[type] = Number(value);
+    return values;
+}
+
+// Lokale Zeit (Datum + Minuten seit Mitternacht) in `timeZone` → UTC-Millisekunden
+function zonedToUtc(date, minutes, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    let utc = wallClock - offsetAt(wallClock, timeZone);
+    // Zweiter Durchgang für Termine rund um die Sommerzeit-Umstellung
+    utc = wallClock - offsetAt(utc, timeZone);
+    return utc;
+}
+
+function offsetAt(ms, timeZone) {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function fromMinutes(minutes) {
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
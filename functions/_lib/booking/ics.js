@@ -0,0 +1,61 @@
+/**
+ * iCalendar-Einladung (RFC 5545) für einen gebuchten Termin
+ */
+
+export function renderIcs(booking, { organizer, summary, description }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Marknate//Booking//DE',
+        'CALSCALE:GREGORIAN',
+        'METHOD:REQUEST',
+        'BEGIN:VEVENT',
+        `UID:${booking.id}@marknate.ch`,
+        `DTSTAMP:${icsDate(booking.createdAt)}`,
+        `DTSTART:${icsDate(booking.start)}`,
+        `DTEND:${icsDate(booking.end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `ORGANIZER;CN=${escapeParam(organizer.name)}:mailto:${organizer.email}`,
+        `ATTENDEE;CN=${escapeParam(booking.name)};ROLE=REQ-PARTICIPANT;RSVP=TRUE:mailto:${booking.email}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ];
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+function icsDate(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Parameterwerte in Anführungszeichen (RFC 5545 quoted-string): ; : , sind darin
+// erlaubt, Steuerzeichen (CR/LF würden die Zeile beenden) und " nicht
+function escapeParam(value) {
+    const cleaned = String(value)
+        .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+        .replace(/"/g, "'")
+        .trim();
+    return `"${cleaned}"`;
+}
+
+// Zeilen über 75 Zeichen umbrechen
+function fold(line) {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ' ' + rest.slice(75);
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+}
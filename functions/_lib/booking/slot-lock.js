@@ -0,0 +1,34 @@
+/**
+ * Durable Object, das einen Startzeitpunkt atomar vergibt (Binding: SLOT_LOCKS)
+ *
+ * Pro Slot gibt es eine Instanz (idFromName(<start>)). Ein Durable Object
+ * bearbeitet seine Anfragen nacheinander – von gleichzeitigen Buchungen
+ * desselben Slots, egal an welchem Standort, erhält genau eine den Zuschlag.
+ * Nach `until` räumt ein Alarm den Speicher wieder ab.
+ *
+ * Wird von src/worker.js exportiert, Migration in wrangler.toml.
+ */
+
+export class SlotLock {
+    constructor(state) {
+        this.state = state;
+    }
+
+    // POST { id, until } → 200 (gehört jetzt `id`) oder 409 (schon vergeben)
+    async fetch(request) {
+        const { id, until } = await request.json();
+
+        const owner = await this.state.storage.get('booking');
+        if (owner && owner !== id) {
+            return new Response(null, { status: 409 });
+        }
+
+        await this.state.storage.put('booking', id);
+        await this.state.storage.setAlarm(until);
+        return new Response(null, { status: 200 });
+    }
+
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
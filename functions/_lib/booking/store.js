@@ -0,0 +1,61 @@
+/**
+ * Gebuchte Termine (Workers KV, Binding: BOOKINGS)
+ *
+ * - booking:<id>   vollständiger Termin
+ * - slot:<start>   belegt einen Startzeitpunkt für /api/slots, läuft nach dem Termin ab
+ *
+ * Vergeben wird ein Slot im Durable Object SLOT_LOCKS (siehe slot-lock.js),
+ * KV allein kennt kein Compare-and-Swap.
+ */
+
+const BOOKING_PREFIX = 'booking:';
+const SLOT_PREFIX = 'slot:';
+// Belegte Slots noch eine Woche nach dem Termin aufbewahren
+const SLOT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+export function hasBookingStore(env) {
+    return Boolean(env?.BOOKINGS && env?.SLOT_LOCKS);
+}
+
+export async function takenSlots(env) {
+    const taken = new Set();
+    let cursor;
+
+    do {
+        const page = await env.BOOKINGS.list({ prefix: SLOT_PREFIX, cursor });
+        cursor = page.list_complete ? undefined : page.cursor;
+        for (const key of page.keys) {
+            taken.add(key.name.slice(SLOT_PREFIX.length));
+        }
+    } while (cursor);
+
+    return taken;
+}
+
+/**
+ * Belegt den Slot für `booking`. Das Durable Object des Slots entscheidet
+ * atomar; erst danach wird slot:<start> für die Übersicht geschrieben.
+ *
+ * @returns {Promise<boolean>} true, wenn der Slot zu dieser Buchung gehört
+ */
+export async function reserveSlot(env, booking) {
+    const expiration = Math.floor(Date.parse(booking.end) / 1000) + SLOT_RETENTION_SECONDS;
+
+    const lock = env.SLOT_LOCKS.get(env.SLOT_LOCKS.idFromName(booking.start));
+    const response = await lock.fetch('https://slot-lock/reserve', {
+        method: 'POST',
+        body: JSON.stringify({ id: booking.id, until: expiration * 1000 }),
+    });
+    if (!response.ok) return false;
+
+    await env.BOOKINGS.put(SLOT_PREFIX + booking.start, booking.id, { expiration });
+    return true;
+}
+
+// Erst nach reserveSlot(), der Slot-Schlüssel gehört dann bereits dieser Buchung
+export async function saveBooking(env, booking) {
+    await env.BOOKINGS.put(BOOKING_PREFIX + booking.id, JSON.stringify(booking), {
+        metadata: { start: booking.start, status: booking.status },
+    });
+    return booking;
+}
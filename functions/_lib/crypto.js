@@ -0,0 +1,41 @@
+/**
+ * Kleine Web-Crypto-Helfer (HMAC, SHA-256, Vergleich in konstanter Zeit)
+ */
+
+const encoder = new TextEncoder();
+
+export async function hmacSha256(secret, value, encoding = 'base64url') {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+    return encoding === 'hex' ? toHex(signature) : toBase64Url(signature);
+}
+
+export async function sha256Hex(value) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(value)));
+}
+
+export function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function toHex(buffer) {
+    return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64Url(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
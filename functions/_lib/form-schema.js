@@ -0,0 +1,122 @@
+/**
+ * Deklaratives Formular-Schema (assets/forms/contact.json)
+ *
+ * Dasselbe Schema nutzt auch assets/js/contact-form.js im Browser.
+ * Neue Felder werden nur dort eingetragen (plus Markup in templates/page.html
+ * und Beschriftungen in templates/i18n/).
+ *
+ * Regeln je Feld, in dieser Reihenfolge geprüft:
+ * required, minLength, maxLength, pattern, options
+ * Datei-Felder (type "file"): required, maxFiles, maxSize (Bytes pro Datei), accept (MIME-Typen)
+ * accept prüft den Typ aus dem Inhalt der Datei (detectFileType in
+ * functions/_lib/attachments.js), nicht den File.type des Browsers.
+ * Die Fehlertexte stehen im Feld unter messages.<regel>.<sprache>.
+ */
+import contactSchema from '../../assets/forms/contact.json';
+import { DEFAULT_LANGUAGE } from './i18n.js';
+
+export { contactSchema };
+
+/**
+ * Liest alle Schema-Felder aus den FormData (getrimmt, leer = '').
+ * Datei-Felder liefern ein Array der hochgeladenen, nicht leeren Dateien.
+ */
+export function readFields(schema, formData) {
+    const values = {};
+    for (const field of schema.fields) {
+        values[field.name] = field.type === 'file'
+            ? formData.getAll(field.name).filter((file) => typeof file === 'object' && file.size > 0)
+            : String(formData.get(field.name) || '').trim();
+    }
+    return values;
+}
+
+/**
+ * `fileTypes`: Feldname → erkannter MIME-Typ je Datei ('' = unbekannt),
+ * in derselben Reihenfolge wie die Dateien in `values`.
+ *
+ * @returns {Record<string, string>} Feldname → Fehlertext (leer, wenn alles gültig ist)
+ */
+export function validateFields(schema, values, lang, fileTypes = {}) {
+    const errors = {};
+    for (const field of schema.fields) {
+        const rule = field.type === 'file'
+            ? failedFileRule(field, values[field.name] || [], fileTypes[field.name] || [])
+            : failedRule(field, values[field.name] || '');
+        if (rule) {
+            errors[field.name] = fieldMessage(field, rule, lang);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Dateien der Datei-Felder, die Anzahl und Grösse einhalten – nur deren Inhalt
+ * wird für accept gelesen (detectFileType), alle anderen scheitern vorher.
+ *
+ * @returns {Record<string, File[]>}
+ */
+export function filesToInspect(schema, values) {
+    const files = {};
+    for (const field of schema.fields) {
+        if (field.type !== 'file' || !field.accept) continue;
+        const list = values[field.name] || [];
+        if (!failedFileLimit(field, list)) files[field.name] = list;
+    }
+    return files;
+}
+
+export function fieldLabel(field, lang) {
+    return field.label?.[lang] || field.label?.[DEFAULT_LANGUAGE] || field.name;
+}
+
+export function optionLabel(field, value, lang) {
+    const option = (field.options || []).find((candidate) => candidate.value === value);
+    return option ? option.label[lang] || option.label[DEFAULT_LANGUAGE] : value;
+}
+
+// Felder, die in Mails und im Admin eigene Zeilen haben
+const CORE_FIELDS = ['vorname', 'nachname', 'email', 'message', 'privacy'];
+
+/**
+ * Zusätzliche, ausgefüllte Felder einer Anfrage (z. B. Firma, Telefon, Leistung)
+ *
+ * @returns {{ name: string, label: string, value: string }[]}
+ */
+export function extraFields(schema, lead, lang = DEFAULT_LANGUAGE) {
+    return schema.fields
+        .filter((field) => field.type !== 'file' && !CORE_FIELDS.includes(field.name) && lead[field.name])
+        .map((field) => ({
+            name: field.name,
+            label: fieldLabel(field, lang),
+            value: field.options ? optionLabel(field, lead[field.name], lang) : lead[field.name],
+        }));
+}
+
+function failedRule(field, value) {
+    if (!value) return field.required ? 'required' : '';
+    if (field.minLength && value.length < field.minLength) return 'minLength';
+    if (field.maxLength && value.length > field.maxLength) return 'maxLength';
+    if (field.pattern && !new RegExp(field.pattern).test(value)) return 'pattern';
+    if (field.options && !field.options.some((option) => option.value === value)) return 'options';
+    return '';
+}
+
+function failedFileRule(field, files, types) {
+    const limit = failedFileLimit(field, files);
+    if (limit || files.length === 0) return limit;
+    if (field.accept && files.some((file, index) => !field.accept.includes(types[index] || ''))) return 'accept';
+    return '';
+}
+
+function failedFileLimit(field, files) {
+    if (files.length === 0) return field.required ? 'required' : '';
+    if (field.maxFiles && files.length > field.maxFiles) return 'maxFiles';
+    if (field.maxSize && files.some((file) => file.size > field.maxSize)) return 'maxSize';
+    return '';
+}
+
+function fieldMessage(field, rule, lang) {
+    const messages = field.messages?.[rule] || {};
+    return messages[lang] || messages[DEFAULT_LANGUAGE] || `${fieldLabel(field, lang)}: ${rule}`;
+}
@@ -0,0 +1,36 @@
+/**
+ * Signierter Zeitstempel für das Kontaktformular
+ *
+ * Der Worker schreibt beim Ausliefern der Seite ein verstecktes Feld
+ * `form_token` ins Formular (src/worker.js). Format: `<ms>.<hmac>`.
+ * Beim Absenden prüft contact.js Signatur und Mindestdauer – Bots, die
+ * das Formular in Sekundenbruchteilen abschicken, fallen so heraus.
+ *
+ * Secret: FORM_TOKEN_SECRET (wrangler secret put FORM_TOKEN_SECRET).
+ * Ohne Secret wird weder ausgestellt noch geprüft.
+ */
+import { hmacSha256, timingSafeEqual } from './crypto.js';
+
+export const FORM_TOKEN_FIELD = 'form_token';
+
+export async function issueFormToken(secret, now = Date.now()) {
+    const timestamp = String(now);
+    return `${timestamp}.${await hmacSha256(secret, timestamp)}`;
+}
+
+/**
+ * @returns {Promise<{ valid: boolean, age?: number }>} age in Sekunden
+ */
+export async function verifyFormToken(secret, token, now = Date.now()) {
+    const [timestamp, signature] = String(token || '').split('.');
+    if (!/^\d+$/.test(timestamp || '') || !signature) {
+        return { valid: false };
+    }
+
+    const expected = await hmacSha256(secret, timestamp);
+    if (!timingSafeEqual(expected, signature)) {
+        return { valid: false };
+    }
+
+    return { valid: true, age: (now - Number(timestamp)) / 1000 };
+}
@@ -0,0 +1,50 @@
+/**
+ * Gemeinsame Response-Helfer für die API-Endpunkte
+ */
+import { isAllowedOrigin, requestOrigin } from './abuse.js';
+import { t } from './i18n.js';
+
+export function json(payload, status, headers) {
+    return new Response(JSON.stringify(payload), {
+        status,
+        headers,
+    });
+}
+
+// Only allowlisted origins get CORS access (see ALLOWED_ORIGINS)
+export function corsHeadersFor(context, methods = 'POST, OPTIONS') {
+    const origin = requestOrigin(context.request);
+    const headers = {
+        'Access-Control-Allow-Methods': methods,
+        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        Vary: 'Origin',
+    };
+    if (origin && isAllowedOrigin(context.env, context.request, origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+    }
+    return headers;
+}
+
+/**
+ * JSON-Fehler für eine Prüfung aus abuse.js (403/429, ggf. mit Retry-After)
+ */
+export function rejected({ status, code, retryAfter }, lang, headers) {
+    return json(
+        { success: false, code, message: t(lang, `abuse.${code}`), ...(retryAfter ? { retryAfter } : {}) },
+        status,
+        retryAfter ? { ...headers, 'Retry-After': String(retryAfter) } : headers
+    );
+}
+
+export function clientIp(request) {
+    return request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || 'Unbekannt';
+}
+
+export function readCookie(request, name) {
+    const header = request.headers.get('cookie') || '';
+    for (const part of header.split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) return rest.join('=');
+    }
+    return '';
+}
@@ -0,0 +1,69 @@
+/**
+ * Sprachauswahl & Texte für die Kontakt- und Buchungs-API
+ *
+ * Die Kataloge liegen in assets/i18n/ und werden auch von den
+ * Browser-Scripts (contact-form.js, booking-widget.js) geladen.
+ */
+import bookingCatalog from '../../assets/i18n/booking.json';
+import catalog from '../../assets/i18n/contact.json';
+
+export const SUPPORTED_LANGUAGES = ['de', 'en'];
+export const DEFAULT_LANGUAGE = 'de';
+
+export const LANGUAGE_LABELS = {
+    de: 'Deutsch (/de/)',
+    en: 'Englisch (/en/)',
+};
+
+/**
+ * Reihenfolge: Formularfeld `lang` → Accept-Language → Deutsch.
+ */
+export function detectLanguage(request, formData) {
+    const fromForm = normalizeLanguage(formData?.get('lang'));
+    if (fromForm) return fromForm;
+
+    const header = request.headers.get('accept-language') || '';
+    const ranked = header
+        .split(',')
+        .map((part) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.find((p) => p.trim().startsWith('q='));
+            return { tag, q: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+        })
+        .filter((entry) => entry.tag && entry.q > 0)
+        .sort((a, b) => b.q - a.q);
+
+    for (const entry of ranked) {
+        const lang = normalizeLanguage(entry.tag);
+        if (lang) return lang;
+    }
+
+    return DEFAULT_LANGUAGE;
+}
+
+export function normalizeLanguage(value) {
+    const base = String(value || '').trim().toLowerCase().split('-')[0];
+    return SUPPORTED_LANGUAGES.includes(base) ? base : '';
+}
+
+/**
+ * Liefert den Text zu einem Schlüssel wie `status.success`.
+ * Fehlt eine Übersetzung, wird auf Deutsch zurückgegriffen.
+ * Platzhalter wie `{email}` werden aus `params` ersetzt.
+ */
+export function t(lang, key, params) {
+    return translate(catalog, lang, key, params);
+}
+
+export function tBooking(lang, key, params) {
+    return translate(bookingCatalog, lang, key, params);
+}
+
+function translate(messages, lang, key, params = {}) {
+    const text = lookup(messages[lang], key) ?? lookup(messages[DEFAULT_LANGUAGE], key) ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function lookup(messages, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
@@ -0,0 +1,57 @@
+/**
+ * Mail-Transport – Auswahl per env var MAIL_TRANSPORT
+ *
+ * - resend (default)  – Resend API, RESEND_API_KEY
+ * - relay             – generisches SMTP-over-HTTP Relay, SMTP_RELAY_URL (+ SMTP_RELAY_TOKEN)
+ * - mailchannels      – MailChannels-kompatible JSON API, MAILCHANNELS_API_KEY
+ *                       (optional MAILCHANNELS_URL)
+ * - memory            – nichts verschicken, nur in `outbox` ablegen (Tests, wrangler dev)
+ * - log               – nichts verschicken, nur in die Konsole schreiben
+ *
+ * Alle Transports erhalten dieselbe Nachricht:
+ *   { from: { email, name }, to: [email], replyTo, subject, text, html, attachments? }
+ * mit attachments: [{ filename, contentType, content (Base64) }]
+ * und liefern { ok, details?, unavailable? } – `unavailable` heisst: nicht konfiguriert.
+ */
+import { createLogTransport, createMemoryTransport, outbox } from './local.js';
+import { createMailChannelsTransport } from './mailchannels.js';
+import { createRelayTransport } from './relay.js';
+import { createResendTransport } from './resend.js';
+
+export { outbox };
+
+const TRANSPORTS = {
+    resend: createResendTransport,
+    relay: createRelayTransport,
+    mailchannels: createMailChannelsTransport,
+    memory: createMemoryTransport,
+    log: createLogTransport,
+};
+
+export function getTransport(env) {
+    const name = String(env?.MAIL_TRANSPORT || 'resend').trim().toLowerCase();
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        return {
+            name,
+            send: async () => ({
+                ok: false,
+                unavailable: true,
+                details: `Unbekannter MAIL_TRANSPORT "${name}".`,
+            }),
+        };
+    }
+    return { name, ...factory(env) };
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, details?: string, unavailable?: boolean }>}
+ */
+export async function sendMail(env, message) {
+    const transport = getTransport(env);
+    try {
+        return await transport.send(message);
+    } catch (err) {
+        return { ok: false, details: `Runtime: ${String(err)}` };
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Lokale Transports ohne Netzwerk – für Tests und wrangler dev.
+ */
+
+// Alle über "memory" verschickten Nachrichten (pro Isolate)
+export const outbox = [];
+
+export function createMemoryTransport() {
+    return {
+        async send(message) {
+            outbox.push({ ...message, sentAt: new Date().toISOString() });
+            return { ok: true };
+        },
+    };
+}
+
+export function createLogTransport() {
+    return {
+        async send(message) {
+            console.log(`[mail] ${message.subject} → ${message.to.join(', ')}\n${message.text}`);
+            return { ok: true };
+        },
+    };
+}
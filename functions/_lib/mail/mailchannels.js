@@ -0,0 +1,49 @@
+/**
+ * MailChannels-kompatible JSON API (personalizations/content).
+ */
+import { sanitizeErrorText } from './util.js';
+
+const DEFAULT_URL = 'https://api.mailchannels.net/tx/v1/send';
+
+export function createMailChannelsTransport(env) {
+    return {
+        async send(message) {
+            const apiKey = env?.MAILCHANNELS_API_KEY || '';
+            if (!apiKey) {
+                return { ok: false, unavailable: true, details: 'MAILCHANNELS_API_KEY ist nicht gesetzt.' };
+            }
+
+            const response = await fetch(env.MAILCHANNELS_URL || DEFAULT_URL, {
+                method: 'POST',
+                headers: {
+                    'X-Api-Key': apiKey,
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    personalizations: [{ to: message.to.map((email) => ({ email })) }],
+                    from: message.from,
+                    reply_to: message.replyTo ? { email: message.replyTo } : undefined,
+                    subject: message.subject,
+                    content: [
+                        { type: 'text/plain', value: message.text },
+                        { type: 'text/html', value: message.html },
+                    ],
+                    attachments: message.attachments?.map(({ filename, contentType, content }) => ({
+                        type: contentType,
+                        filename,
+                        content,
+                    })),
+                }),
+            });
+
+            if (response.ok) {
+                return { ok: true };
+            }
+
+            return {
+                ok: false,
+                details: `MailChannels ${response.status}: ${sanitizeErrorText(await response.text())}`,
+            };
+        },
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * Generisches SMTP-over-HTTP Relay: POST SMTP_RELAY_URL mit JSON,
+ * optional `Authorization: Bearer SMTP_RELAY_TOKEN`.
+ */
+import { formatAddress, sanitizeErrorText } from './util.js';
+
+export function createRelayTransport(env) {
+    return {
+        async send(message) {
+            const url = env?.SMTP_RELAY_URL || '';
+            if (!url) {
+                return { ok: false, unavailable: true, details: 'SMTP_RELAY_URL ist nicht gesetzt.' };
+            }
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (env.SMTP_RELAY_TOKEN) {
+                headers.Authorization = `Bearer ${env.SMTP_RELAY_TOKEN}`;
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    from: formatAddress(message.from),
+                    to: message.to,
+                    reply_to: message.replyTo,
+                    subject: message.subject,
+                    text: message.text,
+                    html: message.html,
+                    attachments: message.attachments,
+                }),
+            });
+
+            if (response.ok) {
+                return { ok: true };
+            }
+
+            return {
+                ok: false,
+                details: `Relay ${response.status}: ${sanitizeErrorText(await response.text())}`,
+            };
+        },
+    };
+}
@@ -0,0 +1,38 @@
+import { formatAddress, sanitizeErrorText } from './util.js';
+
+export function createResendTransport(env) {
+    return {
+        async send(message) {
+            const apiKey = env?.RESEND_API_KEY || '';
+            if (!apiKey) {
+                return { ok: false, unavailable: true, details: 'RESEND_API_KEY ist nicht gesetzt.' };
+            }
+
+            const response = await fetch('https://api.resend.com/emails', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    from: formatAddress(message.from),
+                    to: message.to,
+                    reply_to: message.replyTo,
+                    subject: message.subject,
+                    text: message.text,
+                    html: message.html,
+                    attachments: message.attachments?.map(({ filename, content }) => ({ filename, content })),
+                }),
+            });
+
+            if (response.ok) {
+                return { ok: true };
+            }
+
+            return {
+                ok: false,
+                details: `Resend ${response.status}: ${sanitizeErrorText(await response.text())}`,
+            };
+        },
+    };
+}
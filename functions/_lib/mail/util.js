@@ -0,0 +1,7 @@
+export function formatAddress({ email, name }) {
+    return name ? `${name} <${email}>` : email;
+}
+
+export function sanitizeErrorText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 220);
+}
@@ -0,0 +1,116 @@
+/**
+ * Mails rund um eine Kontaktanfrage
+ *
+ * - sendLeadNotification: neue Anfrage an CONTACT_EMAIL (Komma-Liste für mehrere Empfänger)
+ * - sendConfirmation: Eingangsbestätigung an die anfragende Person
+ * - sendBookingMails: Einladung (ICS) an die buchende Person und Hinweis an Marknate
+ *
+ * Wird sowohl direkt aus onRequestPost als auch für Wiederholungsversuche
+ * aus dem Scheduled-Handler (src/worker.js) aufgerufen. Die Inhalte
+ * stammen aus functions/_lib/templates/, der Versand aus functions/_lib/mail/.
+ */
+import { attachmentLinks, mailAttachments } from './attachments.js';
+import { renderIcs } from './booking/ics.js';
+import { sendMail } from './mail/index.js';
+import { renderBookingInvite, renderBookingNotification } from './templates/booking.js';
+import { renderConfirmation } from './templates/confirmation.js';
+import { renderNotification } from './templates/notification.js';
+
+/**
+ * @returns {Promise<{ ok: boolean, details?: string, unavailable?: boolean }>}
+ */
+export async function sendLeadNotification(env, lead) {
+    const links = await attachmentLinks(env, lead.attachments);
+    const attachments = await mailAttachments(env, lead.attachments);
+    const { subject, text, html } = renderNotification(lead, { links, attached: attachments.length > 0 });
+    return sendMail(env, {
+        from: sender(env, 'Marknate Website'),
+        to: recipients(env),
+        replyTo: lead.email,
+        subject,
+        text,
+        html,
+        ...(attachments.length > 0 ? { attachments } : {}),
+    });
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, details?: string, unavailable?: boolean }>}
+ */
+export async function sendConfirmation(env, lead) {
+    const { subject, text, html } = renderConfirmation(lead);
+    return sendMail(env, {
+        from: sender(env, 'Marknate'),
+        to: [lead.email],
+        replyTo: recipient(env),
+        subject,
+        text,
+        html,
+    });
+}
+
+/**
+ * Einladung an die buchende Person, danach Hinweis an CONTACT_EMAIL –
+ * beide mit der Kalendereinladung im Anhang. Der Hinweis geht auch dann raus,
+ * wenn die Einladung scheitert, damit Marknate nachfassen kann.
+ *
+ * @returns {Promise<{ ok: boolean, details?: string, unavailable?: boolean }>} Ergebnis der Einladung
+ */
+export async function sendBookingMails(env, booking) {
+    const invite = renderBookingInvite(booking);
+    const ics = renderIcs(booking, {
+        organizer: { name: 'Tanja Jans (Marknate)', email: recipient(env) },
+        summary: invite.summary,
+        description: booking.message || invite.summary,
+    });
+    const attachments = [
+        { filename: 'strategiegespraech.ics', contentType: 'text/calendar; method=REQUEST', content: toBase64(ics) },
+    ];
+
+    const result = await sendMail(env, {
+        from: sender(env, 'Marknate'),
+        to: [booking.email],
+        replyTo: recipient(env),
+        subject: invite.subject,
+        text: invite.text,
+        html: invite.html,
+        attachments,
+    });
+    const notification = renderBookingNotification(booking, { inviteFailed: !result.ok });
+    const internal = await sendMail(env, {
+        from: sender(env, 'Marknate Website'),
+        to: recipients(env),
+        replyTo: booking.email,
+        subject: notification.subject,
+        text: notification.text,
+        html: notification.html,
+        attachments,
+    });
+    if (!internal.ok) {
+        console.error(`Hinweis zu Termin ${booking.id} nicht versendet: ${internal.details}`);
+    }
+
+    return result;
+}
+
+function toBase64(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+function recipients(env) {
+    const configured = String(env?.CONTACT_EMAIL || '')
+        .split(',')
+        .map((email) => email.trim())
+        .filter(Boolean);
+    return configured.length > 0 ? configured : ['info@marknate.ch'];
+}
+
+// Antwortadresse & Organisator: die erste Adresse aus CONTACT_EMAIL
+function recipient(env) {
+    return recipients(env)[0];
+}
+
+// Use your verified domain sender, or fallback to your domain
+function sender(env, name) {
+    return { email: env?.MAIL_FROM || 'info@marknate.ch', name };
+}
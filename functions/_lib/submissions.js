@@ -0,0 +1,174 @@
+/**
+ * Persistente Ablage der Kontaktanfragen (Workers KV, Binding: LEADS)
+ *
+ * Jede gültige Anfrage wird zuerst gespeichert und erst danach per Mail
+ * verschickt. Schlägt der Versand fehl, landet ein Eintrag unter
+ * `retry:<id>` und wird mit wachsendem Abstand erneut versucht
+ * (sofort via waitUntil, danach über den Cron-Trigger in wrangler.toml).
+ *
+ * Status: pending → sent | retrying → sent | failed
+ * Bearbeitung (Admin, /admin): review = open | answered | spam
+ */
+import { sendConfirmation, sendLeadNotification } from './notify.js';
+
+const LEAD_PREFIX = 'lead:';
+const RETRY_PREFIX = 'retry:';
+
+// KV listet Schlüssel alphabetisch – die umgekehrte Zeit vorne in der ID
+// (Base36, feste Länge) bringt neue Anfragen nach oben
+const NEWEST_FIRST_BASE = 36 ** 9;
+// Anfragen pro Seite im Admin
+const LIST_PAGE_SIZE = 50;
+
+// Wartezeit vor Versuch n+1 (in Sekunden) – danach gilt die Anfrage als "failed"
+const BACKOFF_SECONDS = [60, 5 * 60, 15 * 60, 60 * 60, 3 * 60 * 60, 6 * 60 * 60, 12 * 60 * 60, 24 * 60 * 60];
+
+export function hasStore(env) {
+    return Boolean(env?.LEADS);
+}
+
+export function createLead(fields) {
+    const now = Date.now();
+    return {
+        id: `${(NEWEST_FIRST_BASE - now).toString(36).padStart(9, '0')}-${crypto.randomUUID()}`,
+        createdAt: new Date(now).toISOString(),
+        status: 'pending',
+        attempts: 0,
+        lastError: '',
+        nextAttemptAt: null,
+        review: 'open',
+        ...fields,
+    };
+}
+
+export async function saveLead(env, lead) {
+    await env.LEADS.put(LEAD_PREFIX + lead.id, JSON.stringify(lead), {
+        metadata: { status: lead.status, review: lead.review, createdAt: lead.createdAt },
+    });
+    return lead;
+}
+
+export async function getLead(env, id) {
+    return env.LEADS.get(LEAD_PREFIX + id, 'json');
+}
+
+/**
+ * Eine Seite gespeicherter Anfragen, neueste zuerst. `cursor` stammt aus dem
+ * vorherigen Aufruf; `review` filtert über die Metadaten, `filter` auf den
+ * geladenen Anfragen. Gelesen wird seitenweise, bis `limit` Treffer da sind.
+ *
+ * @returns {Promise<{ leads: object[], cursor?: string }>} cursor fehlt auf der letzten Seite
+ */
+export async function listLeads(env, { cursor, limit = LIST_PAGE_SIZE, review = '', filter = () => true } = {}) {
+    const leads = [];
+    let next = cursor;
+
+    do {
+        const page = await env.LEADS.list({ prefix: LEAD_PREFIX, cursor: next, limit });
+        next = page.list_complete ? undefined : page.cursor;
+
+        const keys = page.keys.filter((key) => !review || (key.metadata?.review || 'open') === review);
+        const values = await Promise.all(keys.map((key) => env.LEADS.get(key.name, 'json')));
+        leads.push(...values.filter((lead) => lead && filter(lead)));
+    } while (next && leads.length < limit);
+
+    return { leads, cursor: next };
+}
+
+export async function setLeadReview(env, id, review) {
+    const lead = await getLead(env, id);
+    if (!lead) return null;
+
+    lead.review = review;
+    lead.reviewedAt = new Date().toISOString();
+    return saveLead(env, lead);
+}
+
+/**
+ * Verschickt die Benachrichtigung zu einer Anfrage und hält den Status fest.
+ * Ohne KV-Binding wird nur versendet.
+ *
+ * Nach erfolgreichem Versand geht die Bestätigung an die anfragende Person –
+ * mit `waitUntil` im Hintergrund, sonst direkt.
+ */
+export async function deliverLead(env, lead, { waitUntil } = {}) {
+    const result = await sendLeadNotification(env, lead);
+
+    if (result.ok) {
+        const confirmation = confirmLead(env, lead);
+        if (waitUntil) {
+            waitUntil(confirmation);
+        } else {
+            await confirmation;
+        }
+    }
+
+    if (!hasStore(env)) return result;
+
+    lead.attempts += 1;
+
+    if (result.ok) {
+        lead.status = 'sent';
+        lead.lastError = '';
+        lead.nextAttemptAt = null;
+        await saveLead(env, lead);
+        await env.LEADS.delete(RETRY_PREFIX + lead.id);
+        return result;
+    }
+
+    lead.lastError = result.details || '';
+    const delay = BACKOFF_SECONDS[lead.attempts - 1];
+
+    if (delay === undefined) {
+        lead.status = 'failed';
+        lead.nextAttemptAt = null;
+        await saveLead(env, lead);
+        await env.LEADS.delete(RETRY_PREFIX + lead.id);
+        console.error(`Kontaktanfrage ${lead.id} nach ${lead.attempts} Versuchen nicht zugestellt: ${lead.lastError}`);
+        return result;
+    }
+
+    lead.status = 'retrying';
+    lead.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+    await saveLead(env, lead);
+    await env.LEADS.put(RETRY_PREFIX + lead.id, lead.id, {
+        metadata: { dueAt: lead.nextAttemptAt },
+    });
+    return result;
+}
+
+async function confirmLead(env, lead) {
+    const result = await sendConfirmation(env, lead);
+    if (!result.ok) {
+        console.error(`Bestätigung für Kontaktanfrage ${lead.id} nicht versendet: ${result.details}`);
+    }
+}
+
+/**
+ * Wird vom Scheduled-Handler aufgerufen: alle fälligen Anfragen erneut senden.
+ */
+export async function retryPendingLeads(env) {
+    if (!hasStore(env)) return;
+
+    const now = Date.now();
+    let cursor;
+
+    do {
+        const page = await env.LEADS.list({ prefix: RETRY_PREFIX, cursor });
+        cursor = page.list_complete ? undefined : page.cursor;
+
+        for (const key of page.keys) {
+            const id = key.name.slice(RETRY_PREFIX.length);
+            const dueAt = key.metadata?.dueAt;
+            if (dueAt && Date.parse(dueAt) > now) continue;
+
+            const lead = await getLead(env, id);
+            if (!lead || lead.status === 'sent' || lead.status === 'failed') {
+                await env.LEADS.delete(key.name);
+                continue;
+            }
+
+            await deliverLead(env, lead);
+        }
+    } while (cursor);
+}
@@ -0,0 +1,166 @@
+/**
+ * Mails zu einem gebuchten Strategiegespräch
+ *
+ * - renderBookingInvite: Bestätigung an die buchende Person (de/en, mit ICS)
+ * - renderBookingNotification: Hinweis an Marknate
+ */
+import { escapeHtml } from '../html.js';
+import { LANGUAGE_LABELS } from '../i18n.js';
+import { CONTACT } from './contact-details.js';
+
+const TIME_ZONE = 'Europe/Zurich';
+
+const COPY = {
+    de: {
+        locale: 'de-CH',
+        subject: 'Ihr Strategiegespräch mit Marknate',
+        summary: 'Strategiegespräch mit Tanja Jans (Marknate)',
+        greeting: (name) => `Hallo ${name}`,
+        intro: 'vielen Dank für Ihre Buchung! Hiermit bestätige ich unser kostenloses 30-Minuten Strategiegespräch:',
+        when: 'Termin',
+        calendar: 'Die Einladung für Ihren Kalender finden Sie im Anhang. Ich melde mich vorab mit den Details zum Gespräch.',
+        cancel: 'Falls Sie den Termin nicht wahrnehmen können, antworten Sie einfach auf diese E-Mail.',
+        signature: 'Herzliche Grüsse',
+        role: 'Marketing Strategin',
+    },
+    en: {
+        locale: 'en-GB',
+        subject: 'Your strategy call with Marknate',
+        summary: 'Strategy call with Tanja Jans (Marknate)',
+        greeting: (name) => `Hello ${name}`,
+        intro: 'thank you for your booking! I am happy to confirm our free 30-minute strategy call:',
+        when: 'Date',
+        calendar: 'You will find the calendar invitation attached. I will get in touch beforehand with the details for our call.',
+        cancel: 'If you cannot make it, simply reply to this email.',
+        signature: 'Kind regards',
+        role: 'Marketing Strategist',
+    },
+};
+
+export function bookingCopy(lang) {
+    return COPY[lang] || COPY.de;
+}
+
+/**
+ * Datum und Uhrzeit eines Termins in Schweizer Zeit
+ */
+export function formatBookingTime(booking, lang) {
+    const { locale } = bookingCopy(lang);
+    const start = new Date(booking.start);
+    return {
+        date: start.toLocaleDateString(locale, {
+            timeZone: TIME_ZONE,
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+        }),
+        time: start.toLocaleTimeString(locale, { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit' }),
+    };
+}
+
+/**
+ * @returns {{ subject: string, summary: string, text: string, html: string }}
+ */
+export function renderBookingInvite(booking) {
+    const copy = bookingCopy(booking.lang);
+    const { date, time } = formatBookingTime(booking, booking.lang);
+    const greeting = copy.greeting(booking.name);
+    const when = `${date}, ${time}`;
+
+    const text = [
+        `${greeting},`,
+        '',
+        copy.intro,
+        '',
+        `${copy.when}: ${when} (${TIME_ZONE})`,
+        '',
+        copy.calendar,
+        copy.cancel,
+        '',
+        copy.signature,
+        'Tanja Jans',
+        copy.role,
+        '',
+        CONTACT.company,
+        `${CONTACT.phone} | ${CONTACT.email}`,
+        CONTACT.website,
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="${booking.lang === 'en' ? 'en' : 'de'}">
+<head><meta charset="UTF-8"></head>
+<body style="margin: 0; padding: 24px; background: #f8f8f8; font-family: Arial, sans-serif; color: #111;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; overflow: hidden;">
+    <div style="background: #129d63; padding: 24px 32px; color: #fff;">
+      <h1 style="margin: 0; font-size: 22px;">Marknate</h1>
+    </div>
+    <div style="padding: 32px;">
+      <p>${escapeHtml(greeting)},</p>
+      <p>${escapeHtml(copy.intro)}</p>
+      <p style="padding: 16px; background: #f8f8f8; border-left: 4px solid #b9f1d1; border-radius: 4px;"><strong>${escapeHtml(copy.when)}:</strong> ${escapeHtml(when)}<br><small>${TIME_ZONE}</small></p>
+      <p>${escapeHtml(copy.calendar)}</p>
+      <p>${escapeHtml(copy.cancel)}</p>
+      <p style="margin-top: 24px;">${escapeHtml(copy.signature)}<br><strong>Tanja Jans</strong><br>${escapeHtml(copy.role)}</p>
+    </div>
+    <div style="padding: 20px 32px; background: #f8f8f8; font-size: 12px; color: #666;">
+      ${escapeHtml(CONTACT.company)}<br>
+      <a href="${CONTACT.phoneHref}" style="color: #129d63; text-decoration: none;">${escapeHtml(CONTACT.phone)}</a> |
+      <a href="mailto:${CONTACT.email}" style="color: #129d63; text-decoration: none;">${escapeHtml(CONTACT.email)}</a> |
+      <a href="${CONTACT.website}" style="color: #129d63; text-decoration: none;">marknate.ch</a>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    return { subject: copy.subject, summary: copy.summary, text, html };
+}
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.inviteFailed] die Einladung an die buchende Person ging nicht raus
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderBookingNotification(booking, { inviteFailed = false } = {}) {
+    const { date, time } = formatBookingTime(booking, 'de');
+    const language = LANGUAGE_LABELS[booking.lang];
+    const warning = 'Die Einladung an die buchende Person konnte nicht versendet werden – bitte selbst bestätigen.';
+
+    const text = [
+        'Neue Terminbuchung über marknate.ch',
+        '======================================',
+        '',
+        ...(inviteFailed ? [`ACHTUNG: ${warning}`, ''] : []),
+        `Termin: ${date}, ${time} Uhr`,
+        `Name: ${booking.name}`,
+        `E-Mail: ${booking.email}`,
+        '',
+        'Anliegen:',
+        booking.message || '–',
+        '',
+        '--------------------------------------',
+        `Gebucht am: ${new Date(booking.createdAt).toLocaleString('de-CH')}`,
+        `Sprache: ${language}`,
+        `IP: ${booking.ip}`,
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: Arial, sans-serif; color: #111;">
+  <h2>Neue Terminbuchung</h2>
+${inviteFailed ? `  <p style="color: #b91c1c;"><strong>Achtung:</strong> ${warning}</p>\n` : ''}  <p><strong>Termin:</strong> ${escapeHtml(`${date}, ${time} Uhr`)}</p>
+  <p><strong>Name:</strong> ${escapeHtml(booking.name)}</p>
+  <p><strong>E-Mail:</strong> <a href="mailto:${escapeHtml(booking.email)}">${escapeHtml(booking.email)}</a></p>
+  <p><strong>Anliegen:</strong><br>${escapeHtml(booking.message || '–').replace(/\n/g, '<br>')}</p>
+  <hr>
+  <p><small>Sprache: ${escapeHtml(language)} | IP: ${escapeHtml(booking.ip)}</small></p>
+</body>
+</html>`;
+
+    return {
+        subject: `[Marknate Termin]${inviteFailed ? ' [Einladung fehlgeschlagen]' : ''} ${booking.name} – ${date}, ${time} Uhr`,
+        text,
+        html,
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * Bestätigungsmail an die anfragende Person (de/en)
+ *
+ * Enthält eine Kopie der Nachricht, den Link zum kostenlosen
+ * Strategiegespräch (Buchungs-Widget auf marknate.ch) und die Kontaktdaten
+ * von Marknate.
+ * Nur Darstellung – der Versand passiert in functions/_lib/notify.js.
+ */
+import { escapeHtml } from '../html.js';
+import { CONTACT } from './contact-details.js';
+
+export const BOOKING_URL = 'https://marknate.ch/#buchen';
+
+const COPY = {
+    de: {
+        subject: 'Vielen Dank für Ihre Anfrage – Marknate',
+        greeting: (name) => `Hallo ${name}`,
+        intro: 'vielen Dank für Ihre Nachricht! Sie ist bei mir eingegangen und ich melde mich in Kürze bei Ihnen.',
+        copyHeading: 'Ihre Nachricht',
+        bookingHeading: 'Lieber direkt sprechen?',
+        bookingText: 'Buchen Sie ein kostenloses 30-Minuten Strategiegespräch:',
+        bookingCta: 'Termin buchen',
+        signature: 'Herzliche Grüsse',
+        role: 'Marketing Strategin',
+        notice: 'Diese E-Mail wurde automatisch versendet, weil Sie das Kontaktformular auf marknate.ch ausgefüllt haben.',
+    },
+    en: {
+        subject: 'Thank you for your inquiry – Marknate',
+        greeting: (name) => `Hello ${name}`,
+        intro: 'thank you for your message! I have received it and will get back to you shortly.',
+        copyHeading: 'Your message',
+        bookingHeading: 'Prefer to talk directly?',
+        bookingText: 'Book a free 30-minute strategy call:',
+        bookingCta: 'Book a call',
+        signature: 'Kind regards',
+        role: 'Marketing Strategist',
+        notice: 'This email was sent automatically because you filled in the contact form on marknate.ch.',
+    },
+};
+
+/**
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderConfirmation(lead) {
+    const copy = COPY[lead.lang] || COPY.de;
+    const greeting = copy.greeting(lead.vorname);
+
+    const text = [
+        `${greeting},`,
+        '',
+        copy.intro,
+        '',
+        `${copy.copyHeading}:`,
+        '--------------------------------------',
+        lead.message,
+        '--------------------------------------',
+        '',
+        `${copy.bookingHeading} ${copy.bookingText}`,
+        BOOKING_URL,
+        '',
+        copy.signature,
+        'Tanja Jans',
+        copy.role,
+        '',
+        CONTACT.company,
+        CONTACT.street,
+        CONTACT.city,
+        `${CONTACT.phone} | ${CONTACT.email}`,
+        CONTACT.website,
+        '',
+        copy.notice,
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="${lead.lang === 'en' ? 'en' : 'de'}">
+<head><meta charset="UTF-8"></head>
+<body style="margin: 0; padding: 24px; background: #f8f8f8; font-family: Arial, sans-serif; color: #111;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; overflow: hidden;">
+    <div style="background: #129d63; padding: 24px 32px; color: #fff;">
+      <h1 style="margin: 0; font-size: 22px;">Marknate</h1>
+    </div>
+    <div style="padding: 32px;">
+      <p>${escapeHtml(greeting)},</p>
+      <p>${escapeHtml(copy.intro)}</p>
+      <p style="margin-top: 24px; font-size: 12px; font-weight: bold; text-transform: uppercase; color: #129d63;">${escapeHtml(copy.copyHeading)}</p>
+      <div style="padding: 16px; background: #f8f8f8; border-left: 4px solid #b9f1d1; border-radius: 4px;">${escapeHtml(lead.message).replace(/\n/g, '<br>')}</div>
+      <p style="margin-top: 24px;"><strong>${escapeHtml(copy.bookingHeading)}</strong><br>${escapeHtml(copy.bookingText)}</p>
+      <p><a href="${BOOKING_URL}" style="display: inline-block; padding: 12px 24px; background: #129d63; color: #fff; border-radius: 8px; text-decoration: none; font-weight: bold;">${escapeHtml(copy.bookingCta)}</a></p>
+      <p style="margin-top: 24px;">${escapeHtml(copy.signature)}<br><strong>Tanja Jans</strong><br>${escapeHtml(copy.role)}</p>
+    </div>
+    <div style="padding: 20px 32px; background: #f8f8f8; font-size: 12px; color: #666;">
+      ${escapeHtml(CONTACT.company)}<br>
+      ${escapeHtml(CONTACT.street)}, ${escapeHtml(CONTACT.city)}<br>
+      <a href="${CONTACT.phoneHref}" style="color: #129d63; text-decoration: none;">${escapeHtml(CONTACT.phone)}</a> |
+      <a href="mailto:${CONTACT.email}" style="color: #129d63; text-decoration: none;">${escapeHtml(CONTACT.email)}</a> |
+      <a href="${CONTACT.website}" style="color: #129d63; text-decoration: none;">marknate.ch</a>
+      <p style="margin: 12px 0 0;">${escapeHtml(copy.notice)}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    return { subject: copy.subject, text, html };
+}
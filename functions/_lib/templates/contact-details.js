@@ -0,0 +1,12 @@
+// Kontaktdaten für Mail-Fusszeilen und Kalendereinladungen (aus templates/business.json)
+import business from '../../../templates/business.json';
+
+export const CONTACT = {
+    company: `${business.name}, ${business.legalName}`,
+    street: business.address.street,
+    city: `${business.address.country}-${business.address.postalCode} ${business.address.locality}`,
+    phone: business.telephoneDisplay,
+    phoneHref: `tel:${business.telephone}`,
+    email: business.email,
+    website: 'https://marknate.ch',
+};
@@ -0,0 +1,72 @@
+/**
+ * Benachrichtigung an Marknate über eine neue Kontaktanfrage
+ */
+import { contactSchema, extraFields } from '../form-schema.js';
+import { escapeHtml } from '../html.js';
+import { LANGUAGE_LABELS } from '../i18n.js';
+
+/**
+ * @param {object} [files] Anhänge der Anfrage (functions/_lib/attachments.js)
+ * @param {{ name: string, size: number, url: string }[]} [files.links] signierte Download-Links, in derselben Reihenfolge wie lead.attachments
+ * @param {boolean} [files.attached] Dateien hängen zusätzlich an der Mail
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderNotification(lead, { links = [], attached = false } = {}) {
+    const { vorname, nachname, email, message, lang, ip } = lead;
+    const fullName = `${vorname} ${nachname}`;
+    const language = LANGUAGE_LABELS[lang];
+    const date = new Date(lead.createdAt).toLocaleString('de-CH');
+    const extras = extraFields(contactSchema, lead);
+    const files = (lead.attachments || []).map((file, index) => ({
+        label: `${file.name} (${formatSize(file.size)})`,
+        url: links[index]?.url || '',
+    }));
+    const filesNote = attached ? 'Die Dateien hängen an dieser Mail.' : '';
+
+    const text = [
+        'Neue Kontaktanfrage über marknate.ch',
+        '======================================',
+        '',
+        `Name: ${fullName}`,
+        `E-Mail: ${email}`,
+        ...extras.map(({ label, value }) => `${label}: ${value}`),
+        '',
+        'Nachricht:',
+        message,
+        '',
+        ...(files.length > 0
+            ? ['Anhänge:', ...files.map(({ label, url }) => `- ${label}${url ? `: ${url}` : ''}`), ...(filesNote ? [filesNote] : []), '']
+            : []),
+        '--------------------------------------',
+        `Gesendet am: ${date}`,
+        'Datenschutz akzeptiert: Ja',
+        `Sprache: ${language}`,
+        `IP: ${ip}`,
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: Arial, sans-serif; color: #111;">
+  <h2>Neue Kontaktanfrage</h2>
+  <p><strong>Name:</strong> ${escapeHtml(fullName)}</p>
+  <p><strong>E-Mail:</strong> <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></p>
+${extras.map(({ label, value }) => `  <p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>\n`).join('')}  <p><strong>Nachricht:</strong><br>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
+${files.length > 0 ? `  <p><strong>Anhänge:</strong></p>
+  <ul>
+${files.map(({ label, url }) => `    <li>${url ? `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>` : escapeHtml(label)}</li>\n`).join('')}  </ul>
+${filesNote ? `  <p><small>${filesNote}</small></p>\n` : ''}` : ''}  <hr>
+  <p><small>Gesendet am: ${escapeHtml(date)} | Datenschutz akzeptiert: Ja | Sprache: ${escapeHtml(language)} | IP: ${escapeHtml(ip)}</small></p>
+</body>
+</html>`;
+
+    return {
+        subject: `[Marknate Kontaktformular] Neue Anfrage von ${fullName} (${lang.toUpperCase()})`,
+        text,
+        html,
+    };
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
@@ -0,0 +1,19 @@
+/**
+ * Generisches JSON: die Anfrage ohne interne Felder (IP, Versandstatus)
+ */
+import { contactSchema, extraFields } from '../form-schema.js';
+
+export function formatGeneric(lead) {
+    return {
+        event: 'lead.created',
+        id: lead.id,
+        createdAt: lead.createdAt,
+        lang: lead.lang,
+        vorname: lead.vorname,
+        nachname: lead.nachname,
+        email: lead.email,
+        ...Object.fromEntries(extraFields(contactSchema, lead).map(({ name }) => [name, lead[name]])),
+        message: lead.message,
+        attachments: (lead.attachments || []).map(({ name, type, size }) => ({ name, type, size })),
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * HubSpot CRM: POST https://api.hubapi.com/crm/v3/objects/contacts
+ * (Private-App-Token als `Authorization: Bearer …` in den Webhook-headers)
+ */
+import { contactSchema, optionLabel } from '../form-schema.js';
+
+export function formatHubSpot(lead) {
+    const leistung = contactSchema.fields.find((field) => field.name === 'leistung');
+    const properties = {
+        email: lead.email,
+        firstname: lead.vorname,
+        lastname: lead.nachname,
+        company: lead.company,
+        phone: lead.phone,
+        message: [lead.leistung ? `Leistung: ${optionLabel(leistung, lead.leistung, 'de')}` : '', lead.message]
+            .filter(Boolean)
+            .join('\n\n'),
+        hs_language: lead.lang,
+        hs_lead_status: 'NEW',
+    };
+
+    // Leere Felder weglassen, damit bestehende Werte im CRM nicht überschrieben werden
+    return {
+        properties: Object.fromEntries(Object.entries(properties).filter(([, value]) => value)),
+    };
+}
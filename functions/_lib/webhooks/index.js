@@ -0,0 +1,187 @@
+/**
+ * Webhooks für neue Anfragen – CRM, Slack & Co.
+ *
+ * Konfiguration per env var WEBHOOKS (JSON, am besten als Secret):
+ *   [{ "url": "https://…", "format": "generic", "secret": "…", "headers": { … } }]
+ *
+ * Formate (format):
+ * - generic (default) – Anfrage als JSON (`event: "lead.created"`)
+ * - slack             – Slack-kompatible Nachricht (Incoming Webhook)
+ * - hubspot           – Kontakt-Payload für die HubSpot CRM API (`properties`)
+ * - pipedrive         – Personen-Payload für die Pipedrive API
+ *
+ * Jeder Request wird mit HMAC-SHA256 signiert, sofern `secret` bzw.
+ * WEBHOOK_SECRET gesetzt ist:
+ *   X-Marknate-Timestamp: <Unix-Sekunden>
+ *   X-Marknate-Signature: sha256=<hex(hmac(secret, `${timestamp}.${body}`))>
+ * Zugangsdaten der CRMs (z. B. `Authorization: Bearer …`) gehören in `headers`.
+ *
+ * Fehlschläge (Netzwerk, 429, 5xx) werden im Hintergrund (waitUntil) kurz
+ * wiederholt; 4xx gilt als endgültig. Was danach noch fehlt, landet mit dem
+ * LEADS-Binding unter `webhook:<lead-id>:<url-hash>` und wird vom Cron mit wachsendem
+ * Abstand erneut zugestellt (retryPendingWebhooks, wie retryPendingLeads).
+ */
+import { hmacSha256, sha256Hex } from '../crypto.js';
+import { sanitizeErrorText } from '../mail/util.js';
+import { getLead, hasStore } from '../submissions.js';
+import { formatGeneric } from './generic.js';
+import { formatHubSpot } from './hubspot.js';
+import { formatPipedrive } from './pipedrive.js';
+import { formatSlack } from './slack.js';
+
+const FORMATS = {
+    generic: formatGeneric,
+    slack: formatSlack,
+    hubspot: formatHubSpot,
+    pipedrive: formatPipedrive,
+};
+
+// Wartezeit vor Versuch n+1 (in Millisekunden). Mit REQUEST_TIMEOUT_MS pro Versuch
+// höchstens 3 × 5 s + 5 s – deutlich unter den rund 30 s, die waitUntil nach der Antwort bleiben
+const RETRY_DELAYS_MS = [1000, 4000];
+const REQUEST_TIMEOUT_MS = 5000;
+
+const RETRY_PREFIX = 'webhook:';
+// Wartezeit vor dem n-ten Cron-Versuch (in Sekunden) – danach gilt der Webhook als fehlgeschlagen
+const BACKOFF_SECONDS = [5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60, 24 * 60 * 60];
+
+/**
+ * @returns {{ url: string, format: string, secret?: string, headers?: object }[]}
+ */
+export function loadWebhooks(env) {
+    if (!env?.WEBHOOKS) return [];
+    try {
+        const parsed = JSON.parse(env.WEBHOOKS);
+        return (Array.isArray(parsed) ? parsed : [parsed]).filter((hook) => hook && /^https:\/\//.test(hook.url || ''));
+    } catch (err) {
+        console.error(`WEBHOOKS ist kein gültiges JSON: ${String(err)}`);
+        return [];
+    }
+}
+
+/**
+ * Schickt die Anfrage an alle konfigurierten Webhooks. Für waitUntil gedacht,
+ * wirft nie – Fehler landen in der Konsole.
+ *
+ * @returns {Promise<{ url: string, ok: boolean, attempts: number, details?: string }[]>}
+ */
+export async function dispatchLead(env, lead, { delays = RETRY_DELAYS_MS } = {}) {
+    const hooks = loadWebhooks(env);
+    return Promise.all(hooks.map((hook) => deliverWithRetry(env, hook, lead, delays)));
+}
+
+async function deliverWithRetry(env, hook, lead, delays) {
+    let result = { ok: false };
+    let attempts = 0;
+    while (attempts <= delays.length) {
+        if (attempts > 0) await sleep(delays[attempts - 1]);
+        attempts += 1;
+
+        result = await deliver(env, hook, lead);
+        if (result.ok || !result.retryable) {
+            break;
+        }
+    }
+
+    if (!result.ok) {
+        console.error(`Webhook ${new URL(hook.url).host} für Anfrage ${lead.id} fehlgeschlagen: ${result.details}`);
+        if (result.retryable) {
+            await scheduleRetry(env, hook, lead, 0).catch((err) => {
+                console.error(`Webhook-Wiederholung für Anfrage ${lead.id} nicht gespeichert: ${String(err)}`);
+            });
+        }
+    }
+    return { url: hook.url, ok: result.ok, attempts, details: result.details };
+}
+
+/**
+ * Wird vom Scheduled-Handler aufgerufen: fällige Webhooks erneut zustellen.
+ * Hooks, die nicht mehr in WEBHOOKS stehen, werden verworfen.
+ */
+export async function retryPendingWebhooks(env) {
+    if (!hasStore(env)) return;
+
+    const hooks = loadWebhooks(env);
+    const now = Date.now();
+    let cursor;
+
+    do {
+        const page = await env.LEADS.list({ prefix: RETRY_PREFIX, cursor });
+        cursor = page.list_complete ? undefined : page.cursor;
+
+        for (const key of page.keys) {
+            const { dueAt, url, retries = 0 } = key.metadata || {};
+            if (dueAt && Date.parse(dueAt) > now) continue;
+
+            const hook = hooks.find((candidate) => candidate.url === url);
+            const lead = hook && (await getLead(env, key.name.split(':')[1]));
+            const result = lead ? await deliver(env, hook, lead) : { ok: false, retryable: false };
+
+            if (!result.ok && lead) {
+                console.error(`Webhook ${new URL(hook.url).host} für Anfrage ${lead.id} erneut fehlgeschlagen: ${result.details}`);
+            }
+            // Gleicher Schlüssel: scheduleRetry überschreibt den Eintrag, sonst ist er erledigt
+            if (!result.retryable || !(await scheduleRetry(env, hook, lead, retries + 1))) {
+                await env.LEADS.delete(key.name);
+            }
+        }
+    } while (cursor);
+}
+
+// Ohne LEADS-Binding gibt es nichts, woraus der Cron die Anfrage neu laden könnte.
+// Liefert false, wenn nichts (mehr) geplant wurde.
+async function scheduleRetry(env, hook, lead, retries) {
+    if (!hasStore(env)) return false;
+
+    const delay = BACKOFF_SECONDS[retries];
+    if (delay === undefined) {
+        console.error(`Webhook ${new URL(hook.url).host} für Anfrage ${lead.id} nach ${retries} Wiederholungen aufgegeben.`);
+        return false;
+    }
+
+    const key = `${RETRY_PREFIX}${lead.id}:${(await sha256Hex(hook.url)).slice(0, 16)}`;
+    await env.LEADS.put(key, lead.id, {
+        metadata: { url: hook.url, retries, dueAt: new Date(Date.now() + delay * 1000).toISOString() },
+    });
+    return true;
+}
+
+async function deliver(env, hook, lead) {
+    const format = FORMATS[hook.format || 'generic'];
+    if (!format) {
+        return { ok: false, retryable: false, details: `Unbekanntes Format "${hook.format}".` };
+    }
+
+    const body = JSON.stringify(format(lead));
+    const headers = { 'Content-Type': 'application/json', ...(hook.headers || {}) };
+
+    const secret = hook.secret || env.WEBHOOK_SECRET;
+    if (secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Marknate-Timestamp'] = timestamp;
+        headers['X-Marknate-Signature'] = `sha256=${await hmacSha256(secret, `${timestamp}.${body}`, 'hex')}`;
+    }
+
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        if (response.ok) {
+            return { ok: true };
+        }
+        return {
+            ok: false,
+            retryable: response.status === 429 || response.status >= 500,
+            details: `${response.status}: ${sanitizeErrorText(await response.text())}`,
+        };
+    } catch (err) {
+        return { ok: false, retryable: true, details: `Runtime: ${String(err)}` };
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
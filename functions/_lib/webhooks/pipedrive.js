@@ -0,0 +1,14 @@
+/**
+ * Pipedrive: POST https://api.pipedrive.com/v1/persons?api_token=…
+ * (oder `x-api-token` in den Webhook-headers)
+ */
+export function formatPipedrive(lead) {
+    const person = {
+        name: `${lead.vorname} ${lead.nachname}`,
+        email: [{ value: lead.email, primary: true, label: 'work' }],
+    };
+    if (lead.phone) {
+        person.phone = [{ value: lead.phone, primary: true, label: 'work' }];
+    }
+    return person;
+}
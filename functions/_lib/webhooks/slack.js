@@ -0,0 +1,30 @@
+/**
+ * Slack-kompatible Nachricht (Incoming Webhook: `text` + Blocks)
+ */
+import { contactSchema, extraFields } from '../form-schema.js';
+
+export function formatSlack(lead) {
+    const fullName = `${lead.vorname} ${lead.nachname}`;
+    const details = [
+        `*E-Mail:* <mailto:${lead.email}|${escapeSlack(lead.email)}>`,
+        ...extraFields(contactSchema, lead).map(({ label, value }) => `*${label}:* ${escapeSlack(value)}`),
+        `*Sprache:* ${String(lead.lang || 'de').toUpperCase()}`,
+    ];
+    if (lead.attachments?.length) {
+        details.push(`*Anhänge:* ${lead.attachments.map((file) => escapeSlack(file.name)).join(', ')}`);
+    }
+
+    return {
+        text: `Neue Kontaktanfrage von ${escapeSlack(fullName)}`,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: `Neue Anfrage: ${fullName}`.slice(0, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: details.join('\n') } },
+            { type: 'section', text: { type: 'mrkdwn', text: `>${escapeSlack(lead.message).replace(/\n/g, '\n>')}`.slice(0, 3000) } },
+        ],
+    };
+}
+
+// Slack verlangt &, < und > als Entities
+function escapeSlack(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,223 @@
+/**
+ * Marknate Lead-Admin
+ * Endpunkte: /admin (GET, ?q=…&review=…&cursor=…, 50 Anfragen pro Seite),
+ * /admin/login (GET, POST), /admin/logout (POST), /admin/leads/:id (POST), /admin/leads/:id/attachments/:n (GET), /admin/export.csv (GET),
+ * /admin/analytics (GET, JSON) & /admin/analytics.csv (GET) – ?from=YYYY-MM-DD&to=YYYY-MM-DD,
+ * default: die letzten 30 Tage
+ *
+ * Required env vars (set as secrets):
+ * - ADMIN_PASSWORD
+ * Optional env vars:
+ * - ADMIN_SESSION_SECRET (default: ADMIN_PASSWORD)
+ * Bindings:
+ * - LEADS (KV) – die gespeicherten Kontaktanfragen
+ * - ATTACHMENTS (R2, optional) – Dateianhänge der Anfragen
+ * - ANALYTICS (KV, optional) – Besucherstatistik (functions/_lib/analytics.js)
+ */
+import { checkRateLimit } from '../_lib/abuse.js';
+import {
+    clearSessionCookie,
+    createSessionCookie,
+    hasSession,
+    isAdminConfigured,
+    verifyPassword,
+} from '../_lib/admin/auth.js';
+import { analyticsCsv, leadsCsv, leadsPage, loginPage } from '../_lib/admin/views.js';
+import { hasAnalyticsStore, loadReport } from '../_lib/analytics.js';
+import { attachmentResponse, hasAttachmentStore } from '../_lib/attachments.js';
+import { getLead, hasStore, listLeads, setLeadReview } from '../_lib/submissions.js';
+
+const REVIEW_VALUES = ['open', 'answered', 'spam'];
+const REPORT_DEFAULT_DAYS = 30;
+
+const NO_STORE = {
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
+};
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+    const path = url.pathname.replace(/\/+$/, '') || '/admin';
+
+    if (!isAdminConfigured(env)) {
+        return text('Admin ist nicht konfiguriert (ADMIN_PASSWORD fehlt).', 503);
+    }
+
+    // Formulare nur von der eigenen Seite annehmen
+    if (request.method === 'POST' && !isSameOrigin(request)) {
+        return text('Forbidden', 403);
+    }
+
+    if (path === '/admin/login') {
+        if (request.method === 'POST') return login(context);
+        return html(loginPage());
+    }
+
+    if (!(await hasSession(env, request))) {
+        return redirect('/admin/login');
+    }
+
+    if (path === '/admin/logout' && request.method === 'POST') {
+        return redirect('/admin/login', { 'Set-Cookie': clearSessionCookie() });
+    }
+
+    const leadMatch = path.match(/^\/admin\/leads\/([\w-]+)$/);
+    if (leadMatch && request.method === 'POST') {
+        return updateLead(context, leadMatch[1]);
+    }
+
+    const attachmentMatch = path.match(/^\/admin\/leads\/([\w-]+)\/attachments\/(\d+)$/);
+    if (attachmentMatch && request.method === 'GET') {
+        return downloadAttachment(context, attachmentMatch[1], Number(attachmentMatch[2]));
+    }
+
+    if ((path === '/admin' || path === '/admin/export.csv') && request.method === 'GET') {
+        return listOrExport(context, url, path === '/admin/export.csv');
+    }
+
+    if ((path === '/admin/analytics' || path === '/admin/analytics.csv') && request.method === 'GET') {
+        return analyticsReport(context, url, path === '/admin/analytics.csv');
+    }
+
+    return text('Not Found', 404);
+}
+
+async function login({ request, env }) {
+    // Ohne IP-Header teilen sich alle Versuche ein Budget, statt ungebremst zu bleiben
+    const blocked = await checkRateLimit(env, 'admin', request.headers.get('cf-connecting-ip') || 'unknown');
+    if (blocked) {
+        return html(loginPage({ error: 'Zu viele Versuche. Bitte später erneut versuchen.' }), 429);
+    }
+
+    const formData = await request.formData();
+    if (!(await verifyPassword(env, formData.get('password')))) {
+        return html(loginPage({ error: 'Passwort ist falsch.' }), 401);
+    }
+
+    return redirect('/admin', { 'Set-Cookie': await createSessionCookie(env) });
+}
+
+async function listOrExport({ env }, url, asCsv) {
+    const q = (url.searchParams.get('q') || '').trim();
+    const review = REVIEW_VALUES.includes(url.searchParams.get('review')) ? url.searchParams.get('review') : '';
+    const cursor = url.searchParams.get('cursor') || undefined;
+
+    if (!hasStore(env)) {
+        return html(leadsPage({ leads: [], q, review, notice: 'Das KV-Binding LEADS ist nicht konfiguriert.' }));
+    }
+
+    const needle = q.toLowerCase();
+    const filter = (lead) =>
+        !needle ||
+        [lead.vorname, lead.nachname, lead.email, lead.company, lead.message]
+            .some((value) => String(value || '').toLowerCase().includes(needle));
+
+    if (asCsv) {
+        // Der Export umfasst alle Treffer, Seite für Seite gelesen
+        const leads = [];
+        let next;
+        do {
+            const page = await listLeads(env, { cursor: next, review, filter });
+            leads.push(...page.leads);
+            next = page.cursor;
+        } while (next);
+
+        const date = new Date().toISOString().slice(0, 10);
+        return new Response(leadsCsv(leads), {
+            headers: {
+                ...NO_STORE,
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="marknate-anfragen-${date}.csv"`,
+            },
+        });
+    }
+
+    const page = await listLeads(env, { cursor, review, filter });
+    return html(leadsPage({ leads: page.leads, next: page.cursor, paged: Boolean(cursor), q, review }));
+}
+
+async function updateLead({ request, env }, id) {
+    const formData = await request.formData();
+    const review = formData.get('review');
+
+    if (!hasStore(env) || !REVIEW_VALUES.includes(review)) {
+        return text('Bad Request', 400);
+    }
+
+    if (!(await setLeadReview(env, id, review))) {
+        return text('Not Found', 404);
+    }
+
+    // Zurück zur Liste mit denselben Filtern
+    const referer = request.headers.get('referer') || '';
+    return redirect(referer.startsWith(new URL(request.url).origin + '/admin') ? referer : '/admin');
+}
+
+async function downloadAttachment({ env }, id, number) {
+    const lead = hasStore(env) && hasAttachmentStore(env) ? await getLead(env, id) : null;
+    const file = lead?.attachments?.[number - 1];
+    const response = file ? await attachmentResponse(env, file.key, NO_STORE) : null;
+    return response || text('Not Found', 404);
+}
+
+async function analyticsReport({ env }, url, asCsv) {
+    if (!hasAnalyticsStore(env)) {
+        return text('Das KV-Binding ANALYTICS ist nicht konfiguriert.', 503);
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const defaultFrom = new Date(Date.now() - (REPORT_DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+    const to = isDate(url.searchParams.get('to')) ? url.searchParams.get('to') : today;
+    const from = isDate(url.searchParams.get('from')) ? url.searchParams.get('from') : defaultFrom;
+
+    if (from > to) {
+        return text('Bad Request', 400);
+    }
+
+    const report = await loadReport(env, from, to);
+
+    if (asCsv) {
+        return new Response(analyticsCsv(report), {
+            headers: {
+                ...NO_STORE,
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="marknate-statistik-${report.from}-${report.to}.csv"`,
+            },
+        });
+    }
+
+    return new Response(JSON.stringify(report), {
+        headers: { ...NO_STORE, 'Content-Type': 'application/json; charset=utf-8' },
+    });
+}
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+function isSameOrigin(request) {
+    const origin = request.headers.get('origin');
+    return !origin || origin === new URL(request.url).origin;
+}
+
+function html(body, status = 200) {
+    return new Response(body, {
+        status,
+        headers: { ...NO_STORE, 'Content-Type': 'text/html; charset=utf-8' },
+    });
+}
+
+function text(body, status) {
+    return new Response(body, {
+        status,
+        headers: { ...NO_STORE, 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+}
+
+function redirect(location, headers = {}) {
+    return new Response(null, {
+        status: 303,
+        headers: { ...NO_STORE, Location: location, ...headers },
+    });
+}
@@ -0,0 +1,37 @@
+/**
+ * Download eines Anhangs aus einer Kontaktanfrage
+ * Endpunkt: /api/attachment (GET)
+ *
+ * Query: ?key=…&expires=…&sig=… – nur über die signierten Links aus der
+ * Benachrichtigung erreichbar (functions/_lib/attachments.js). Ausgeliefert
+ * wird immer als Download (Content-Disposition: attachment, nosniff) mit dem
+ * beim Upload aus dem Inhalt erkannten Typ.
+ * Binding: ATTACHMENTS (R2), Secret: ATTACHMENT_URL_SECRET
+ */
+import { attachmentResponse, hasAttachmentStore, verifyAttachmentLink } from '../_lib/attachments.js';
+
+const HEADERS = {
+    'Cache-Control': 'private, no-store',
+    'X-Robots-Tag': 'noindex, nofollow',
+    'X-Content-Type-Options': 'nosniff',
+};
+
+export async function onRequestGet(context) {
+    if (!hasAttachmentStore(context.env)) {
+        return text('Not Found', 404);
+    }
+
+    const key = await verifyAttachmentLink(context.env, new URL(context.request.url).searchParams);
+    if (!key) {
+        return text('Der Link ist ungültig oder abgelaufen.', 403);
+    }
+
+    return (await attachmentResponse(context.env, key, HEADERS)) || text('Not Found', 404);
+}
+
+function text(body, status) {
+    return new Response(body, {
+        status,
+        headers: { ...HEADERS, 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+}
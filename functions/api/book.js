@@ -0,0 +1,157 @@
+/**
+ * Buchung eines 30-Minuten Strategiegesprächs
+ * Endpunkt: /api/book (POST)
+ *
+ * Felder: start (ISO-Zeitpunkt aus /api/slots), name, email, message (optional),
+ * lang, website (Honeypot)
+ *
+ * Der Slot wird im Durable Object SLOT_LOCKS vergeben und im KV (BOOKINGS)
+ * vermerkt (siehe reserveSlot), danach geht eine Einladung mit ICS-Anhang an
+ * die buchende Person und ein Hinweis an CONTACT_EMAIL.
+ * Scheitert die Einladung, bleibt der Termin gebucht; die Antwort sagt das
+ * (`inviteSent: false`) und Marknate meldet sich per Hinweis-Mail.
+ */
+import { checkOrigin, checkRateLimit } from '../_lib/abuse.js';
+import { findSlot, loadRules } from '../_lib/booking/availability.js';
+import { hasBookingStore, reserveSlot, saveBooking } from '../_lib/booking/store.js';
+import { clientIp, corsHeadersFor, json, rejected } from '../_lib/http.js';
+import { detectLanguage, tBooking } from '../_lib/i18n.js';
+import { sendBookingMails } from '../_lib/notify.js';
+import { formatBookingTime } from '../_lib/templates/booking.js';
+
+const MAX_NAME_LENGTH = 100;
+
+export async function onRequestPost(context) {
+    const corsHeaders = {
+        ...corsHeadersFor(context),
+        'Content-Type': 'application/json; charset=utf-8',
+    };
+
+    let lang = detectLanguage(context.request);
+
+    try {
+        const blocked =
+            checkOrigin(context.env, context.request) ||
+            (await checkRateLimit(context.env, 'book', context.request.headers.get('cf-connecting-ip')));
+        if (blocked) {
+            return rejected(blocked, lang, corsHeaders);
+        }
+
+        if (!hasBookingStore(context.env)) {
+            return json(
+                {
+                    success: false,
+                    message: tBooking(lang, 'status.unavailable'),
+                    details: 'BOOKINGS oder SLOT_LOCKS ist nicht gebunden.',
+                },
+                503,
+                corsHeaders
+            );
+        }
+
+        const formData = await context.request.formData();
+        lang = detectLanguage(context.request, formData);
+
+        const start = (formData.get('start') || '').trim();
+        // Control characters (CR/LF) would break mail headers and the ICS lines
+        const name = (formData.get('name') || '')
+            .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+            .trim()
+            .slice(0, MAX_NAME_LENGTH);
+        const email = (formData.get('email') || '').trim();
+        const message = (formData.get('message') || '').trim().slice(0, 2000);
+        const honeypot = (formData.get('website') || '').trim();
+
+        // Honeypot – bots fill hidden fields
+        if (honeypot) {
+            return json({ success: true }, 200, corsHeaders);
+        }
+
+        // ── Validation ──────────────────────────────────────────────
+        const errors = [];
+        if (!name) errors.push(tBooking(lang, 'validation.name'));
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.push(tBooking(lang, 'validation.email'));
+        }
+
+        if (errors.length > 0) {
+            return json(
+                { success: false, message: errors.join(' ') },
+                422,
+                corsHeaders
+            );
+        }
+
+        // ── Reserve the slot (exactly one booking wins, the others get 409)
+        const rules = loadRules(context.env);
+        const slot = findSlot(rules, start);
+        const booking = slot && {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            status: 'confirmed',
+            start: slot.start,
+            end: slot.end,
+            lang,
+            name,
+            email,
+            message,
+            ip: clientIp(context.request),
+        };
+
+        if (!booking || !(await reserveSlot(context.env, booking))) {
+            return json(
+                { success: false, code: 'slotUnavailable', message: tBooking(lang, 'validation.slot') },
+                409,
+                corsHeaders
+            );
+        }
+
+        await saveBooking(context.env, booking);
+
+        const result = await sendBookingMails(context.env, booking);
+        const { date, time } = formatBookingTime(booking, lang);
+
+        if (!result.ok) {
+            // The slot stays booked – Marknate got the notification and follows up manually
+            console.error(`Einladung für Termin ${booking.id} nicht versendet: ${result.details}`);
+            return json(
+                {
+                    success: true,
+                    inviteSent: false,
+                    message: tBooking(lang, 'status.inviteFailed', { date, time, email }),
+                    booking: { id: booking.id, start: booking.start, end: booking.end },
+                },
+                200,
+                corsHeaders
+            );
+        }
+
+        return json(
+            {
+                success: true,
+                inviteSent: true,
+                message: tBooking(lang, 'status.success', { date, time, email }),
+                booking: { id: booking.id, start: booking.start, end: booking.end },
+            },
+            200,
+            corsHeaders
+        );
+    } catch (err) {
+        return json(
+            {
+                success: false,
+                message: tBooking(lang, 'status.error'),
+                details: `Runtime: ${String(err)}`,
+            },
+            500,
+            corsHeaders
+        );
+    }
+}
+
+export async function onRequestOptions(context) {
+    return new Response(null, {
+        status: 204,
+        headers: corsHeadersFor(context),
+    });
+}
@@ -2,153 +2,188 @@
  * Marknate Contact Form Handler – Cloudflare Worker
  * Endpunkt: /submit & /api/contact (POST)
  *
- * Mail provider: Resend (https://resend.com)
+ * Mail provider: Resend (https://resend.com) – oder ein anderer Transport
+ * per MAIL_TRANSPORT (siehe functions/_lib/mail/index.js)
+ * Nach dem Versand an CONTACT_EMAIL erhält die anfragende Person eine
+ * Bestätigung (Vorlagen in functions/_lib/templates/).
  * Required env vars (set as secrets):
- * - RESEND_API_KEY
+ * - RESEND_API_KEY (bzw. die Zugangsdaten des gewählten Transports)
  * Optional env vars:
- * - CONTACT_EMAIL (default: info@marknate.ch)
- * - MAIL_FROM (default: onboarding@resend.dev)
+ * - CONTACT_EMAIL (Komma-Liste, default: info@marknate.ch)
+ * - MAIL_FROM (default: info@marknate.ch)
+ * Optional bindings:
+ * - LEADS (KV) – speichert jede Anfrage vor dem Versand, fehlgeschlagene
+ *   Mails werden mit Backoff erneut versucht (siehe functions/_lib/submissions.js)
+ * - SPAM_GUARD (KV) – Rate Limit pro IP & Duplikat-Erkennung
+ *   (weitere Optionen siehe functions/_lib/abuse.js)
+ * - ATTACHMENTS (R2) – Dateianhänge, ohne Binding werden Uploads abgelehnt
+ *   (Links & Grenzen siehe functions/_lib/attachments.js)
+ * Optionale Webhooks (CRM, Slack): WEBHOOKS / WEBHOOK_SECRET,
+ * siehe functions/_lib/webhooks/index.js
+ *
+ * Antworten werden auf Deutsch oder Englisch geliefert – je nach Feld
+ * `lang` bzw. Accept-Language (siehe functions/_lib/i18n.js).
+ *
+ * php/contact.php bildet denselben Ablauf für Hosting ohne Worker nach –
+ * Änderungen an Validierung oder Antworten dort nachziehen und mit
+ * npm test (scripts/contact-contract.mjs) gegen beide prüfen.
  */
+import {
+    checkContent,
+    checkDuplicate,
+    checkOrigin,
+    checkRateLimit,
+    checkSubmitTiming,
+    recordMessage,
+} from '../_lib/abuse.js';
+import { detectFileType, hasAttachmentStore, storeAttachments } from '../_lib/attachments.js';
+import { contactSchema, filesToInspect, readFields, validateFields } from '../_lib/form-schema.js';
+import { clientIp, corsHeadersFor, json, rejected } from '../_lib/http.js';
+import { detectLanguage, t } from '../_lib/i18n.js';
+import { createLead, deliverLead, hasStore, saveLead } from '../_lib/submissions.js';
+import { dispatchLead } from '../_lib/webhooks/index.js';
+
+// Zweiter Versuch noch im selben Request (via waitUntil), danach übernimmt der Cron
+const QUICK_RETRY_DELAY_MS = 5000;
 
 export async function onRequestPost(context) {
     const corsHeaders = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        ...corsHeadersFor(context),
         'Content-Type': 'application/json; charset=utf-8',
     };
 
+    let lang = detectLanguage(context.request);
+    const ip = clientIp(context.request);
+
     try {
+        // ── Origin & rate limit (before reading the body) ───────────
+        const blocked =
+            checkOrigin(context.env, context.request) ||
+            (await checkRateLimit(context.env, 'contact', context.request.headers.get('cf-connecting-ip')));
+        if (blocked) {
+            return rejected(blocked, lang, corsHeaders);
+        }
+
         const formData = await context.request.formData();
+        lang = detectLanguage(context.request, formData);
 
-        const vorname = (formData.get('vorname') || '').trim();
-        const nachname = (formData.get('nachname') || '').trim();
-        const email = (formData.get('email') || '').trim();
-        const message = (formData.get('message') || '').trim();
-        const privacy = (formData.get('privacy') || '').trim();
+        const values = readFields(contactSchema, formData);
         const honeypot = (formData.get('website') || '').trim();
 
         // Honeypot – bots fill hidden fields
         if (honeypot) {
             return json(
-                { success: true, message: 'Nachricht erfolgreich gesendet.' },
+                { success: true, message: t(lang, 'status.honeypot') },
                 200,
                 corsHeaders
             );
         }
 
-        // ── Validation ──────────────────────────────────────────────
-        const errors = [];
-        if (!vorname) errors.push('Bitte geben Sie Ihren Vornamen ein.');
-        if (!nachname) errors.push('Bitte geben Sie Ihren Nachnamen ein.');
-        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-            errors.push('Bitte geben Sie eine gültige E-Mail-Adresse ein.');
+        // ── Time-to-submit (signed timestamp from the page) ─────────
+        const tooFast = await checkSubmitTiming(context.env, formData);
+        if (tooFast) {
+            return rejected(tooFast, lang, corsHeaders);
         }
-        if (!message) errors.push('Bitte geben Sie eine Nachricht ein.');
-        if (message && message.length < 10) {
-            errors.push('Bitte schreiben Sie eine etwas ausführlichere Nachricht.');
+
+        // ── Validation (assets/forms/contact.json) ──────────────────
+        // File types come from the content, the browser's File.type is not trusted.
+        // Only files within maxFiles / maxSize are read at all.
+        const fileTypes = {};
+        for (const [name, files] of Object.entries(filesToInspect(contactSchema, values))) {
+            fileTypes[name] = await Promise.all(files.map(detectFileType));
         }
-        if (!privacy) errors.push('Bitte stimmen Sie der Datenschutzerklärung zu.');
+        const errors = validateFields(contactSchema, values, lang, fileTypes);
 
-        if (errors.length > 0) {
+        if (Object.keys(errors).length > 0) {
             return json(
-                { success: false, message: errors.join(' ') },
+                { success: false, message: Object.values(errors).join(' '), fields: errors },
                 422,
                 corsHeaders
             );
         }
 
-        // ── Resend API Key ──────────────────────────────────────────
-        const apiKey = context.env?.RESEND_API_KEY || '';
-        if (!apiKey) {
+        // Consent is implied by a valid submission, everything else is kept with the lead
+        const fields = { ...values };
+        delete fields.privacy;
+        delete fields.attachments;
+        const { message } = fields;
+        const files = values.attachments;
+
+        if (files.length > 0 && !hasAttachmentStore(context.env)) {
             return json(
-                {
-                    success: false,
-                    message: 'E-Mail-Versand ist momentan nicht verfügbar. Bitte schreiben Sie direkt an info@marknate.ch.',
-                    details: 'RESEND_API_KEY ist nicht gesetzt.',
-                },
-                500,
+                { success: false, message: t(lang, 'status.attachmentsUnavailable') },
+                503,
                 corsHeaders
             );
         }
 
-        const recipient = context.env?.CONTACT_EMAIL || 'info@marknate.ch';
-        // Use your verified domain sender, or fallback to your domain
-        const fromEmail = context.env?.MAIL_FROM || 'info@marknate.ch';
-        const fromName = 'Marknate Website';
-        const fullName = `${vorname} ${nachname}`;
-        const date = new Date().toLocaleString('de-CH');
-        const ip =
-            context.request.headers.get('cf-connecting-ip') ||
-            context.request.headers.get('x-forwarded-for') ||
-            'Unbekannt';
-
-        // ── Build email content ─────────────────────────────────────
-        const textBody = [
-            'Neue Kontaktanfrage über marknate.ch',
-            '======================================',
-            '',
-            `Name: ${fullName}`,
-            `E-Mail: ${email}`,
-            '',
-            'Nachricht:',
-            message,
-            '',
-            '--------------------------------------',
-            `Gesendet am: ${date}`,
-            'Datenschutz akzeptiert: Ja',
-            `IP: ${ip}`,
-        ].join('\n');
-
-        const htmlBody = `<!DOCTYPE html>
-<html>
-<head><meta charset="UTF-8"></head>
-<body style="font-family: Arial, sans-serif; color: #111;">
-  <h2>Neue Kontaktanfrage</h2>
-  <p><strong>Name:</strong> ${escapeHtml(fullName)}</p>
-  <p><strong>E-Mail:</strong> <a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></p>
-  <p><strong>Nachricht:</strong><br>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
-  <hr>
-  <p><small>Gesendet am: ${escapeHtml(date)} | Datenschutz akzeptiert: Ja | IP: ${escapeHtml(ip)}</small></p>
-</body>
-</html>`;
-
-        // ── Send via Resend API ─────────────────────────────────────
-        const resendResponse = await fetch('https://api.resend.com/emails', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                from: `${fromName} <${fromEmail}>`,
-                to: [recipient],
-                reply_to: email,
-                subject: `[Marknate Kontaktformular] Neue Anfrage von ${fullName}`,
-                text: textBody,
-                html: htmlBody,
-            }),
+        // ── Content heuristics ──────────────────────────────────────
+        const spam = checkContent(context.env, message) || (await checkDuplicate(context.env, message));
+        if (spam) {
+            return rejected(spam, lang, corsHeaders);
+        }
+
+        // ── Persist first, then notify ──────────────────────────────
+        const lead = createLead({
+            lang,
+            ...fields,
+            ip,
         });
 
-        if (resendResponse.ok || resendResponse.status === 200) {
+        // Files go to R2 first, the lead only keeps their metadata
+        if (files.length > 0) {
+            lead.attachments = await storeAttachments(context.env, lead.id, files, fileTypes.attachments);
+        }
+
+        const stored = hasStore(context.env);
+        if (stored) {
+            await saveLead(context.env, lead);
+        }
+
+        const result = await deliverLead(context.env, lead, { waitUntil: context.waitUntil });
+
+        // Accepted (sent or queued for retry) → block resubmits as duplicates,
+        // fan out to CRM / chat webhooks in the background
+        if (result.ok || stored) {
+            await recordMessage(context.env, message).catch((err) => {
+                console.error(`Duplikat-Hash für ${lead.id} nicht gespeichert: ${String(err)}`);
+            });
+            context.waitUntil?.(dispatchLead(context.env, lead));
+        }
+
+        if (result.ok) {
             return json(
                 {
                     success: true,
-                    message: 'Vielen Dank! Ihre Nachricht wurde erfolgreich gesendet. Ich melde mich in Kürze bei Ihnen.',
+                    message: t(lang, 'status.success'),
                 },
                 200,
                 corsHeaders
             );
         }
 
-        // ── Handle Resend errors ────────────────────────────────────
-        const errorBody = await resendResponse.text();
-        const providerError = sanitizeErrorText(errorBody);
+        // ── Stored: retry in the background, the lead is not lost ───
+        if (stored) {
+            console.error(`Kontaktanfrage ${lead.id} wird erneut versendet: ${result.details}`);
+            context.waitUntil?.(
+                sleep(QUICK_RETRY_DELAY_MS).then(() => deliverLead(context.env, lead))
+            );
+            return json(
+                {
+                    success: true,
+                    message: t(lang, 'status.queued'),
+                },
+                202,
+                corsHeaders
+            );
+        }
+
+        // ── No store configured: report the provider error ──────────
         return json(
             {
                 success: false,
-                message: 'E-Mail-Versand fehlgeschlagen. Bitte versuchen Sie es später erneut oder schreiben Sie direkt an info@marknate.ch.',
-                details: `Resend ${resendResponse.status}: ${providerError}`,
+                message: t(lang, result.unavailable ? 'status.unavailable' : 'status.sendFailed'),
+                details: result.details,
             },
             500,
             corsHeaders
@@ -157,7 +192,7 @@ export async function onRequestPost(context) {
         return json(
             {
                 success: false,
-                message: 'Es gab einen Fehler beim Senden. Bitte versuchen Sie es erneut oder schreiben Sie direkt an info@marknate.ch.',
+                message: t(lang, 'status.error'),
                 details: `Runtime: ${String(err)}`,
             },
             500,
@@ -166,33 +201,13 @@ export async function onRequestPost(context) {
     }
 }
 
-export async function onRequestOptions() {
+export async function onRequestOptions(context) {
     return new Response(null, {
         status: 204,
-        headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Accept',
-        },
-    });
-}
-
-function json(payload, status, headers) {
-    return new Response(JSON.stringify(payload), {
-        status,
-        headers,
+        headers: corsHeadersFor(context),
     });
 }
 
-function sanitizeErrorText(text) {
-    return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 220);
-}
-
-function escapeHtml(str) {
-    return String(str)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -0,0 +1,102 @@
+/**
+ * Content-Security-Policy Reports
+ * Endpunkt: /api/csp-report (POST)
+ *
+ * Nimmt Verstösse gegen die CSP aus src/security.js entgegen und schreibt sie
+ * ins Log (wrangler tail / Workers Logs). Unterstützt beide Browser-Formate:
+ * - application/csp-report    – { "csp-report": { … } } (report-uri)
+ * - application/reports+json  – [{ "type": "csp-violation", "body": { … } }] (report-to)
+ *
+ * Höchstens 16 KB pro Report, gelesen wird nie mehr. Mit SPAM_GUARD gilt das
+ * Rate Limit aus functions/_lib/abuse.js pro IP (rl:csp:<ip>), darüber wird
+ * nichts mehr geloggt.
+ */
+import { checkRateLimit } from '../_lib/abuse.js';
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_REPORTS = 10;
+
+export async function onRequestPost({ request, env }) {
+    const blocked = await checkRateLimit(env, 'csp', request.headers.get('cf-connecting-ip'));
+    if (blocked) {
+        return new Response(null, { status: 429, headers: { 'Retry-After': String(blocked.retryAfter) } });
+    }
+
+    const body = await readBody(request, MAX_BODY_BYTES);
+    if (body === null) {
+        return new Response(null, { status: 413 });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch {
+        return new Response(null, { status: 400 });
+    }
+
+    for (const report of violations(payload).slice(0, MAX_REPORTS)) {
+        console.warn(`CSP-Verstoss: ${JSON.stringify(report)}`);
+    }
+
+    return new Response(null, { status: 204 });
+}
+
+// Body als Text oder null, sobald er `limit` Bytes überschreitet – ohne den Rest zu lesen
+async function readBody(request, limit) {
+    if (Number(request.headers.get('content-length')) > limit) return null;
+    if (!request.body) return '';
+
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > limit) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+// Vereinheitlicht beide Formate auf die für die Auswertung relevanten Felder
+function violations(payload) {
+    if (payload?.['csp-report']) {
+        const report = payload['csp-report'];
+        return [
+            {
+                page: report['document-uri'],
+                blocked: report['blocked-uri'],
+                directive: report['effective-directive'] || report['violated-directive'],
+                source: report['source-file'],
+                line: report['line-number'],
+                sample: report['script-sample'],
+            },
+        ];
+    }
+
+    if (Array.isArray(payload)) {
+        return payload
+            .filter((entry) => entry?.type === 'csp-violation' && entry.body)
+            .map(({ body }) => ({
+                page: body.documentURL,
+                blocked: body.blockedURL,
+                directive: body.effectiveDirective,
+                source: body.sourceFile,
+                line: body.lineNumber,
+                sample: body.sample,
+            }));
+    }
+
+    return [];
+}
@@ -0,0 +1,60 @@
+/**
+ * Besucherstatistik – Events aus assets/js/analytics.js
+ * Endpunkt: /api/event (POST, per navigator.sendBeacon)
+ *
+ * Body: { "events": [{ "type": "pageview", "name": "/de/" }, …], "referrer": "google.com" }
+ * Typen: pageview, section, click, conversion (siehe functions/_lib/analytics.js)
+ *
+ * Ohne Cookies und ohne IP: gespeichert werden nur Tagessummen.
+ * Nur von den eigenen Seiten: ohne erlaubte Origin (ALLOWED_ORIGINS) → 403.
+ * Binding: ANALYTICS (KV) – ohne Binding werden Events verworfen.
+ */
+import { isAllowedOrigin, requestOrigin } from '../_lib/abuse.js';
+import { hasAnalyticsStore, parseEvents, recordEvents } from '../_lib/analytics.js';
+
+const MAX_BODY_BYTES = 8 * 1024;
+
+// Crawler und Vorschau-Dienste zählen nicht als Besuch
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|headless|lighthouse/i;
+
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    // Browser senden die Origin bei sendBeacon und fetch mit; fehlt sie, ist es kein Seitenaufruf
+    const origin = requestOrigin(request);
+    if (!origin || !isAllowedOrigin(env, request, origin)) {
+        return new Response(null, { status: 403 });
+    }
+
+    if (BOT_PATTERN.test(request.headers.get('user-agent') || '')) {
+        return noContent();
+    }
+
+    const body = await request.text();
+    if (body.length > MAX_BODY_BYTES) {
+        return new Response(null, { status: 413 });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch {
+        return new Response(null, { status: 400 });
+    }
+
+    if (hasAnalyticsStore(env)) {
+        const write = recordEvents(env, parseEvents(payload)).catch((err) => {
+            console.error(`Statistik konnte nicht gespeichert werden: ${String(err)}`);
+        });
+        context.waitUntil?.(write);
+    }
+
+    return noContent();
+}
+
+function noContent() {
+    return new Response(null, {
+        status: 204,
+        headers: { 'Cache-Control': 'no-store' },
+    });
+}
@@ -0,0 +1,66 @@
+/**
+ * Freie Termine für das 30-Minuten Strategiegespräch
+ * Endpunkt: /api/slots (GET)
+ *
+ * Query: ?from=YYYY-MM-DD&days=7 (beides optional)
+ * Regeln: functions/_lib/booking/availability.js (env var BOOKING_RULES)
+ * Bindings: BOOKINGS (KV), SLOT_LOCKS (Durable Object) – ohne beide ist die
+ * Buchung deaktiviert
+ */
+import { listSlots, loadRules } from '../_lib/booking/availability.js';
+import { hasBookingStore, takenSlots } from '../_lib/booking/store.js';
+import { corsHeadersFor, json } from '../_lib/http.js';
+import { detectLanguage, tBooking } from '../_lib/i18n.js';
+
+export async function onRequestGet(context) {
+    const headers = {
+        ...corsHeadersFor(context, 'GET, OPTIONS'),
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+    };
+    const lang = detectLanguage(context.request);
+
+    if (!hasBookingStore(context.env)) {
+        return json(
+            {
+                success: false,
+                message: tBooking(lang, 'status.unavailable'),
+                details: 'BOOKINGS oder SLOT_LOCKS ist nicht gebunden.',
+            },
+            503,
+            headers
+        );
+    }
+
+    try {
+        const url = new URL(context.request.url);
+        const from = /^\d{4}-\d{2}-\d{2}$/.test(url.searchParams.get('from') || '')
+            ? url.searchParams.get('from')
+            : undefined;
+        const days = Math.min(Math.max(parseInt(url.searchParams.get('days'), 10) || 0, 0), 31) || undefined;
+
+        const rules = loadRules(context.env);
+        const taken = await takenSlots(context.env);
+
+        return json(
+            {
+                success: true,
+                timeZone: rules.timeZone,
+                slotMinutes: rules.slotMinutes,
+                days: listSlots(rules, { from, days, taken }),
+            },
+            200,
+            headers
+        );
+    } catch (err) {
+        return json(
+            {
+                success: false,
+                message: tBooking(lang, 'status.error'),
+                details: `Runtime: ${String(err)}`,
+            },
+            500,
+            headers
+        );
+    }
+}
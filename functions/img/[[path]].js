@@ -0,0 +1,57 @@
+/**
+ * Responsive Bilder – bestes Format je nach Accept-Header
+ * Endpunkte: /img/<name>.<hash>-<breite> (GET), z. B. /img/hero3.1a2b3c4d-800
+ *
+ * Die Varianten erzeugt scripts/images.mjs beim Build als
+ * dist/img/<name>.<hash>-<breite>.<avif|webp|jpg>. Ausgeliefert wird AVIF,
+ * sonst WebP, sonst JPEG. Der Hash ändert sich mit dem Originalbild, die
+ * Antworten sind daher unbegrenzt cachebar (Vary: Accept für CDNs).
+ * Dateien mit Endung (z. B. das og:image) kommen direkt aus dem Assets-Binding.
+ */
+const VARIANT_PATH = /^\/img\/([\w-]+\.[0-9a-f]{8}-\d+)$/;
+
+// Reihenfolge = Präferenz; JPEG kann jeder Browser
+const FORMATS = [
+    { ext: 'avif', type: 'image/avif' },
+    { ext: 'webp', type: 'image/webp' },
+    { ext: 'jpg', type: 'image/jpeg', fallback: true },
+];
+
+const CACHE_HEADERS = {
+    'Cache-Control': 'public, max-age=31536000, immutable',
+};
+
+export async function onRequestGet({ request, env }) {
+    const url = new URL(request.url);
+    const match = url.pathname.match(VARIANT_PATH);
+
+    if (!match) {
+        const response = await env.ASSETS.fetch(request);
+        return response.ok ? withHeaders(response, response.headers.get('Content-Type'), CACHE_HEADERS) : notFound();
+    }
+
+    const accept = request.headers.get('accept') || '';
+    for (const format of FORMATS) {
+        if (!format.fallback && !accept.includes(format.type)) continue;
+
+        const response = await env.ASSETS.fetch(new URL(`/img/${match[1]}.${format.ext}`, url));
+        if (response.ok) {
+            return withHeaders(response, format.type, { ...CACHE_HEADERS, Vary: 'Accept' });
+        }
+    }
+
+    return notFound();
+}
+
+function withHeaders(response, contentType, headers) {
+    return new Response(response.body, {
+        headers: { ...headers, 'Content-Type': contentType || 'application/octet-stream' },
+    });
+}
+
+function notFound() {
+    return new Response('Not Found', {
+        status: 404,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+}
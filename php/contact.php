@@ -1,170 +1,468 @@
 <?php
 /**
- * Marknate Contact Form Handler
- * Sends form submissions to info@marknate.ch
+ * Marknate Contact Form Handler – PHP-Fallback
+ * Für Hosting ohne Cloudflare Worker; verhält sich wie onRequestPost in
+ * functions/api/contact.js:
+ * - dieselben Regeln und Fehlertexte (assets/forms/contact.json)
+ * - dieselben Antworten, Deutsch oder Englisch (assets/i18n/contact.json,
+ *   Feld `lang` → Accept-Language → Deutsch)
+ * - Honeypot vor der Validierung, 422 mit `fields`, 500 mit `details`
+ * - CORS nur für ALLOWED_ORIGINS, Preflight mit 204
+ * Abgleich mit dem Worker: npm test (test/contact-contract.test.mjs) bzw.
+ * node scripts/contact-contract.mjs <worker-url> <php-url>
+ *
+ * Optionale Umgebungsvariablen (wie im Worker):
+ * - CONTACT_EMAIL (Komma-Liste, default: info@marknate.ch)
+ * - MAIL_FROM (default: info@marknate.ch)
+ * - ALLOWED_ORIGINS (Komma-Liste, default: https://marknate.ch,https://www.marknate.ch)
+ * - ALLOW_MISSING_ORIGIN ("true": Anfragen ohne Origin und Referer zulassen)
+ * - MAX_LINKS (default: 2)
+ *
+ * Nicht unterstützt, da ohne KV bzw. R2: Rate Limit, Duplikate, Formular-Token,
+ * Ablage der Anfragen und Dateianhänge (→ 503 attachmentsUnavailable).
+ * Mehrere Dateien unter demselben Namen sieht PHP nur als letzte – maxFiles
+ * greift daher nur für `attachments[]`.
  */
 
-// Set response headers
+const DEFAULT_LANGUAGE = 'de';
+const SUPPORTED_LANGUAGES = ['de', 'en'];
+const DEFAULT_ORIGINS = ['https://marknate.ch', 'https://www.marknate.ch'];
+const DEFAULT_EMAIL = 'info@marknate.ch';
+
+const LANGUAGE_LABELS = [
+    'de' => 'Deutsch (/de/)',
+    'en' => 'Englisch (/en/)',
+];
+
+// Felder, die in der Mail eigene Zeilen haben
+const CORE_FIELDS = ['vorname', 'nachname', 'email', 'message', 'privacy'];
+
+$catalog = [];
+
 header('Content-Type: application/json; charset=utf-8');
-header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: POST');
-header('Access-Control-Allow-Headers: Content-Type');
+header('Access-Control-Allow-Methods: POST, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Accept');
+header('Vary: Origin');
+
+$origin = requestOrigin();
+if ($origin !== '' && isAllowedOrigin($origin)) {
+    header("Access-Control-Allow-Origin: $origin");
+}
 
 // Handle preflight
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
-    http_response_code(200);
+    http_response_code(204);
     exit();
 }
 
+$lang = detectLanguage(null);
+
 // Only allow POST
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
-    http_response_code(405);
-    echo json_encode(['success' => false, 'message' => 'Methode nicht erlaubt.']);
-    exit();
+    respond(['success' => false, 'message' => 'Methode nicht erlaubt.'], 405);
+}
+
+try {
+    $schema  = readJson(__DIR__ . '/../assets/forms/contact.json');
+    $catalog = readJson(__DIR__ . '/../assets/i18n/contact.json');
+
+    // ── Origin ──────────────────────────────────────────────────
+    if (!isAllowedOrigin($origin)) {
+        rejected('origin', $lang);
+    }
+
+    $lang   = detectLanguage($_POST['lang'] ?? null);
+    $values = readFields($schema);
+
+    // Honeypot – bots fill hidden fields
+    if (is_string($_POST['website'] ?? null) && trimValue($_POST['website']) !== '') {
+        respond(['success' => true, 'message' => t($lang, 'status.honeypot')], 200);
+    }
+
+    // ── Validation (assets/forms/contact.json) ──────────────────
+    $errors = validateFields($schema, $values, $lang);
+
+    if (!empty($errors)) {
+        respond(
+            ['success' => false, 'message' => implode(' ', array_values($errors)), 'fields' => $errors],
+            422
+        );
+    }
+
+    if (!empty($values['attachments'])) {
+        respond(['success' => false, 'message' => t($lang, 'status.attachmentsUnavailable')], 503);
+    }
+
+    // ── Content heuristics ──────────────────────────────────────
+    $links = preg_match_all('~(https?://|www\.)\S+~i', $values['message']);
+    if ($links > numberVar(getenv('MAX_LINKS'), 2)) {
+        rejected('tooManyLinks', $lang);
+    }
+
+    // ── Notify ──────────────────────────────────────────────────
+    $lead = $values;
+    unset($lead['privacy'], $lead['attachments']);
+    $lead['lang'] = $lang;
+    $lead['ip']   = clientIp();
+
+    $details = sendNotification($schema, $lead);
+
+    if ($details === '') {
+        respond(['success' => true, 'message' => t($lang, 'status.success')], 200);
+    }
+
+    respond(['success' => false, 'message' => t($lang, 'status.sendFailed'), 'details' => $details], 500);
+} catch (Throwable $err) {
+    respond(
+        ['success' => false, 'message' => t($lang, 'status.error'), 'details' => 'Runtime: ' . $err->getMessage()],
+        500
+    );
+}
+
+/**
+ * Neue Anfrage an CONTACT_EMAIL, Inhalt wie functions/_lib/templates/notification.js
+ *
+ * @return string leer bei Erfolg, sonst der Fehler für `details`
+ */
+function sendNotification(array $schema, array $lead): string
+{
+    $fullName = "{$lead['vorname']} {$lead['nachname']}";
+    $email    = $lead['email'];
+    $message  = $lead['message'];
+    $language = LANGUAGE_LABELS[$lead['lang']];
+    $date     = date('d.m.Y, H:i:s');
+    $extras   = extraFields($schema, $lead);
+    $subject  = "[Marknate Kontaktformular] Neue Anfrage von $fullName (" . strtoupper($lead['lang']) . ')';
+
+    $text = implode("\n", array_merge(
+        [
+            'Neue Kontaktanfrage über marknate.ch',
+            '======================================',
+            '',
+            "Name: $fullName",
+            "E-Mail: $email",
+        ],
+        array_map(fn($extra) => "{$extra['label']}: {$extra['value']}", $extras),
+        [
+            '',
+            'Nachricht:',
+            $message,
+            '',
+            '--------------------------------------',
+            "Gesendet am: $date",
+            'Datenschutz akzeptiert: Ja',
+            "Sprache: $language",
+            "IP: {$lead['ip']}",
+        ]
+    ));
+
+    $extrasHtml = '';
+    foreach ($extras as $extra) {
+        $extrasHtml .= '  <p><strong>' . e($extra['label']) . ':</strong> ' . e($extra['value']) . "</p>\n";
+    }
+
+    $html = '<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"></head>
+<body style="font-family: Arial, sans-serif; color: #111;">
+  <h2>Neue Kontaktanfrage</h2>
+  <p><strong>Name:</strong> ' . e($fullName) . '</p>
+  <p><strong>E-Mail:</strong> <a href="mailto:' . e($email) . '">' . e($email) . "</a></p>\n"
+        . $extrasHtml
+        . '  <p><strong>Nachricht:</strong><br>' . str_replace("\n", '<br>', e($message)) . '</p>
+  <hr>
+  <p><small>Gesendet am: ' . e($date) . ' | Datenschutz akzeptiert: Ja | Sprache: ' . e($language) . ' | IP: ' . e($lead['ip']) . '</small></p>
+</body>
+</html>';
+
+    // Email headers
+    $from     = trimValue(getenv('MAIL_FROM') ?: '') ?: DEFAULT_EMAIL;
+    $boundary = bin2hex(random_bytes(16));
+    $headers  = 'From: ' . mb_encode_mimeheader('Marknate Website', 'UTF-8') . " <$from>\r\n";
+    $headers .= 'Reply-To: ' . mb_encode_mimeheader(headerValue($fullName), 'UTF-8') . " <$email>\r\n";
+    $headers .= "MIME-Version: 1.0\r\n";
+    $headers .= "Content-Type: multipart/alternative; boundary=\"$boundary\"\r\n";
+    $headers .= "X-Mailer: Marknate-Contact-Form/2.0\r\n";
+
+    // Multipart body
+    $body  = "--$boundary\r\n";
+    $body .= "Content-Type: text/plain; charset=UTF-8\r\n";
+    $body .= "Content-Transfer-Encoding: 8bit\r\n\r\n";
+    $body .= $text . "\r\n";
+    $body .= "--$boundary\r\n";
+    $body .= "Content-Type: text/html; charset=UTF-8\r\n";
+    $body .= "Content-Transfer-Encoding: 8bit\r\n\r\n";
+    $body .= $html . "\r\n";
+    $body .= "--$boundary--\r\n";
+
+    $sent = mail(implode(', ', recipients()), mb_encode_mimeheader(headerValue($subject), 'UTF-8'), $body, $headers);
+    if ($sent) {
+        return '';
+    }
+
+    $error = error_get_last();
+    return 'mail(): ' . ($error['message'] ?? 'Versand vom Mailserver abgelehnt');
 }
 
-// Configuration
-$recipient = 'info@marknate.ch';
-$subject_prefix = '[Marknate Kontaktformular]';
+// ── Formular-Schema (wie functions/_lib/form-schema.js) ─────────
 
-// Get and sanitize input
-$vorname  = trim(filter_input(INPUT_POST, 'vorname', FILTER_SANITIZE_SPECIAL_CHARS) ?? '');
-$nachname = trim(filter_input(INPUT_POST, 'nachname', FILTER_SANITIZE_SPECIAL_CHARS) ?? '');
-$email    = trim(filter_input(INPUT_POST, 'email', FILTER_SANITIZE_EMAIL) ?? '');
-$message  = trim(filter_input(INPUT_POST, 'message', FILTER_SANITIZE_SPECIAL_CHARS) ?? '');
-$privacy  = filter_input(INPUT_POST, 'privacy', FILTER_SANITIZE_SPECIAL_CHARS) ?? '';
+/**
+ * Liest alle Schema-Felder aus $_POST bzw. $_FILES (getrimmt, leer = '').
+ * Datei-Felder liefern eine Liste der hochgeladenen, nicht leeren Dateien.
+ */
+function readFields(array $schema): array
+{
+    $values = [];
+    foreach ($schema['fields'] as $field) {
+        $name = $field['name'];
+        $values[$name] = ($field['type'] ?? '') === 'file'
+            ? uploadedFiles($_FILES[$name] ?? null)
+            : trimValue(is_string($_POST[$name] ?? null) ? $_POST[$name] : '');
+    }
+    return $values;
+}
 
-// Validation
-$errors = [];
+/**
+ * @return array<string, string> Feldname → Fehlertext (leer, wenn alles gültig ist)
+ */
+function validateFields(array $schema, array $values, string $lang): array
+{
+    $errors = [];
+    foreach ($schema['fields'] as $field) {
+        $rule = ($field['type'] ?? '') === 'file'
+            ? failedFileRule($field, $values[$field['name']] ?? [])
+            : failedRule($field, $values[$field['name']] ?? '');
+        if ($rule !== '') {
+            $errors[$field['name']] = fieldMessage($field, $rule, $lang);
+        }
+    }
+    return $errors;
+}
 
-if (empty($vorname)) {
-    $errors[] = 'Bitte geben Sie Ihren Vornamen ein.';
+function failedRule(array $field, string $value): string
+{
+    if ($value === '') return !empty($field['required']) ? 'required' : '';
+    if (!empty($field['minLength']) && jsLength($value) < $field['minLength']) return 'minLength';
+    if (!empty($field['maxLength']) && jsLength($value) > $field['maxLength']) return 'maxLength';
+    if (!empty($field['pattern']) && !preg_match('~' . str_replace('~', '\~', $field['pattern']) . '~u', $value)) return 'pattern';
+    if (!empty($field['options']) && !in_array($value, array_column($field['options'], 'value'), true)) return 'options';
+    return '';
 }
 
-if (empty($nachname)) {
-    $errors[] = 'Bitte geben Sie Ihren Nachnamen ein.';
+function failedFileRule(array $field, array $files): string
+{
+    if (count($files) === 0) return !empty($field['required']) ? 'required' : '';
+    if (!empty($field['maxFiles']) && count($files) > $field['maxFiles']) return 'maxFiles';
+    if (!empty($field['maxSize'])) {
+        foreach ($files as $file) {
+            if ($file['size'] > $field['maxSize']) return 'maxSize';
+        }
+    }
+    if (!empty($field['accept'])) {
+        foreach ($files as $file) {
+            if (!in_array($file['type'], $field['accept'], true)) return 'accept';
+        }
+    }
+    return '';
 }
 
-if (empty($email) || !filter_var($email, FILTER_VALIDATE_EMAIL)) {
-    $errors[] = 'Bitte geben Sie eine gültige E-Mail-Adresse ein.';
+function fieldMessage(array $field, string $rule, string $lang): string
+{
+    $messages = $field['messages'][$rule] ?? [];
+    return $messages[$lang] ?? $messages[DEFAULT_LANGUAGE] ?? fieldLabel($field, $lang) . ": $rule";
 }
 
-if (empty($message)) {
-    $errors[] = 'Bitte geben Sie eine Nachricht ein.';
+function fieldLabel(array $field, string $lang): string
+{
+    return $field['label'][$lang] ?? $field['label'][DEFAULT_LANGUAGE] ?? $field['name'];
 }
 
-if (empty($privacy)) {
-    $errors[] = 'Bitte stimmen Sie der Datenschutzerklärung zu.';
+/**
+ * Zusätzliche, ausgefüllte Felder (z. B. Firma, Telefon, Leistung) – Beschriftungen auf Deutsch
+ */
+function extraFields(array $schema, array $lead): array
+{
+    $extras = [];
+    foreach ($schema['fields'] as $field) {
+        $name = $field['name'];
+        if (($field['type'] ?? '') === 'file' || in_array($name, CORE_FIELDS, true) || empty($lead[$name])) continue;
+
+        $value = $lead[$name];
+        foreach ($field['options'] ?? [] as $option) {
+            if ($option['value'] === $value) $value = $option['label'][DEFAULT_LANGUAGE];
+        }
+        $extras[] = ['name' => $name, 'label' => fieldLabel($field, DEFAULT_LANGUAGE), 'value' => $value];
+    }
+    return $extras;
 }
 
-// Simple honeypot spam check
-$honeypot = filter_input(INPUT_POST, 'website', FILTER_SANITIZE_SPECIAL_CHARS) ?? '';
-if (!empty($honeypot)) {
-    // Bot detected - pretend success
-    echo json_encode(['success' => true, 'message' => 'Nachricht erfolgreich gesendet.']);
-    exit();
+/**
+ * $_FILES-Eintrag als Liste von ['size' => …, 'type' => …] – für `name` und `name[]`.
+ * Zu grosse Uploads (upload_max_filesize) zählen als zu gross, nicht als fehlend.
+ */
+function uploadedFiles(?array $entry): array
+{
+    if ($entry === null) return [];
+
+    $files = [];
+    foreach ((array) $entry['error'] as $index => $error) {
+        if ($error === UPLOAD_ERR_NO_FILE) continue;
+
+        $size = in_array($error, [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE], true) ? PHP_INT_MAX : (int) ((array) $entry['size'])[$index];
+        if ($size > 0) {
+            $files[] = ['size' => $size, 'type' => $error === UPLOAD_ERR_OK ? contentType((string) ((array) $entry['tmp_name'])[$index]) : ''];
+        }
+    }
+    return $files;
 }
 
-// Return errors if any
-if (!empty($errors)) {
-    http_response_code(422);
-    echo json_encode(['success' => false, 'message' => implode(' ', $errors)]);
+// Typ aus dem Inhalt (wie detectFileType in functions/_lib/attachments.js), nicht vom Browser
+function contentType(string $path): string
+{
+    if (!function_exists('finfo_open') || !is_uploaded_file($path)) return '';
+    return (string) (new finfo(FILEINFO_MIME_TYPE))->file($path);
+}
+
+// Länge wie String.length in JavaScript (UTF-16-Einheiten), damit die Grenzen exakt gleich greifen
+function jsLength(string $value): int
+{
+    return intdiv(strlen(mb_convert_encoding($value, 'UTF-16LE', 'UTF-8')), 2);
+}
+
+function trimValue(string $value): string
+{
+    return preg_replace('/^\s+|\s+$/u', '', $value) ?? trim($value);
+}
+
+// ── Sprache & Texte (wie functions/_lib/i18n.js) ────────────────
+
+/**
+ * Reihenfolge: Formularfeld `lang` → Accept-Language → Deutsch.
+ */
+function detectLanguage($fromForm): string
+{
+    $lang = normalizeLanguage(is_string($fromForm) ? $fromForm : '');
+    if ($lang !== '') return $lang;
+
+    $ranked = [];
+    foreach (explode(',', $_SERVER['HTTP_ACCEPT_LANGUAGE'] ?? '') as $part) {
+        $params = explode(';', trim($part));
+        $tag = array_shift($params);
+        $q = 1;
+        foreach ($params as $param) {
+            if (strpos(trim($param), 'q=') === 0) $q = (float) substr(trim($param), 2);
+        }
+        if ($tag !== '' && $q > 0) $ranked[] = ['tag' => $tag, 'q' => $q];
+    }
+    usort($ranked, fn($a, $b) => $b['q'] <=> $a['q']);
+
+    foreach ($ranked as $entry) {
+        $lang = normalizeLanguage($entry['tag']);
+        if ($lang !== '') return $lang;
+    }
+
+    return DEFAULT_LANGUAGE;
+}
+
+function normalizeLanguage(string $value): string
+{
+    $base = explode('-', strtolower(trim($value)))[0];
+    return in_array($base, SUPPORTED_LANGUAGES, true) ? $base : '';
+}
+
+/**
+ * Text zu einem Schlüssel wie `status.success`, sonst Deutsch, sonst der Schlüssel.
+ */
+function t(string $lang, string $key): string
+{
+    global $catalog;
+    return lookup($catalog[$lang] ?? [], $key) ?? lookup($catalog[DEFAULT_LANGUAGE] ?? [], $key) ?? $key;
+}
+
+function lookup(array $messages, string $key): ?string
+{
+    $node = $messages;
+    foreach (explode('.', $key) as $part) {
+        if (!is_array($node) || !isset($node[$part])) return null;
+        $node = $node[$part];
+    }
+    return is_string($node) ? $node : null;
+}
+
+// ── Herkunft, Empfänger, Antworten ──────────────────────────────
+
+/**
+ * Origin des Aufrufers (Origin-Header, sonst Referer). Leer, wenn keiner gesendet wurde.
+ */
+function requestOrigin(): string
+{
+    if (!empty($_SERVER['HTTP_ORIGIN'])) return $_SERVER['HTTP_ORIGIN'];
+
+    $referer = parse_url($_SERVER['HTTP_REFERER'] ?? '');
+    if (empty($referer['scheme']) || empty($referer['host'])) return '';
+    return $referer['scheme'] . '://' . $referer['host'] . (isset($referer['port']) ? ':' . $referer['port'] : '');
+}
+
+function isAllowedOrigin(string $origin): bool
+{
+    if ($origin === '') return getenv('ALLOW_MISSING_ORIGIN') === 'true';
+    // Same-origin ist immer erlaubt
+    $scheme = (!empty($_SERVER['HTTPS']) && $_SERVER['HTTPS'] !== 'off') ? 'https' : 'http';
+    if ($origin === $scheme . '://' . ($_SERVER['HTTP_HOST'] ?? '')) return true;
+    return in_array($origin, envList('ALLOWED_ORIGINS') ?: DEFAULT_ORIGINS, true);
+}
+
+function recipients(): array
+{
+    return envList('CONTACT_EMAIL') ?: [DEFAULT_EMAIL];
+}
+
+function envList(string $name): array
+{
+    return array_values(array_filter(array_map('trim', explode(',', (string) getenv($name)))));
+}
+
+function numberVar($value, float $fallback): float
+{
+    return is_numeric($value) && $value >= 0 ? (float) $value : $fallback;
+}
+
+function clientIp(): string
+{
+    return $_SERVER['HTTP_CF_CONNECTING_IP'] ?? $_SERVER['HTTP_X_FORWARDED_FOR'] ?? $_SERVER['REMOTE_ADDR'] ?? 'Unbekannt';
+}
+
+/**
+ * JSON-Fehler wie rejected() in functions/_lib/http.js
+ */
+function rejected(string $code, string $lang): void
+{
+    respond(['success' => false, 'code' => $code, 'message' => t($lang, "abuse.$code")], 403);
+}
+
+function respond(array $payload, int $status): void
+{
+    http_response_code($status);
+    echo json_encode($payload, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
     exit();
 }
 
-// Build email
-$fullName = "$vorname $nachname";
-$subject  = "$subject_prefix Neue Anfrage von $fullName";
-$date     = date('d.m.Y H:i');
+function readJson(string $path): array
+{
+    $data = json_decode((string) file_get_contents($path), true);
+    if (!is_array($data)) {
+        throw new RuntimeException("Ungültiges JSON: $path");
+    }
+    return $data;
+}
 
-// HTML email body
-$htmlBody = "
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset='UTF-8'>
-    <style>
-        body { font-family: 'Helvetica Neue', Arial, sans-serif; color: #111; background: #f5f5f5; margin: 0; padding: 20px; }
-        .container { max-width: 600px; margin: 0 auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
-        .header { background: #129d63; padding: 30px; text-align: center; }
-        .header h1 { color: #fff; margin: 0; font-size: 22px; font-weight: 700; }
-        .content { padding: 30px; }
-        .field { margin-bottom: 20px; }
-        .field-label { font-size: 12px; font-weight: 600; color: #666; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 4px; }
-        .field-value { font-size: 16px; color: #111; padding: 12px 16px; background: #f8f8f8; border-radius: 8px; border-left: 3px solid #129d63; }
-        .message-value { white-space: pre-wrap; line-height: 1.6; }
-        .footer { padding: 20px 30px; background: #f8f8f8; text-align: center; font-size: 12px; color: #999; }
-    </style>
-</head>
-<body>
-    <div class='container'>
-        <div class='header'>
-            <h1>Neue Kontaktanfrage</h1>
-        </div>
-        <div class='content'>
-            <div class='field'>
-                <div class='field-label'>Name</div>
-                <div class='field-value'>" . htmlspecialchars($fullName) . "</div>
-            </div>
-            <div class='field'>
-                <div class='field-label'>E-Mail</div>
-                <div class='field-value'><a href='mailto:" . htmlspecialchars($email) . "' style='color: #129d63; text-decoration: none;'>" . htmlspecialchars($email) . "</a></div>
-            </div>
-            <div class='field'>
-                <div class='field-label'>Nachricht</div>
-                <div class='field-value message-value'>" . nl2br(htmlspecialchars($message)) . "</div>
-            </div>
-        </div>
-        <div class='footer'>
-            Gesendet über marknate.ch Kontaktformular am $date<br>
-            Datenschutz akzeptiert: Ja
-        </div>
-    </div>
-</body>
-</html>
-";
-
-// Plain text fallback
-$textBody = "Neue Kontaktanfrage über marknate.ch\n";
-$textBody .= "======================================\n\n";
-$textBody .= "Name: $fullName\n";
-$textBody .= "E-Mail: $email\n\n";
-$textBody .= "Nachricht:\n$message\n\n";
-$textBody .= "--------------------------------------\n";
-$textBody .= "Gesendet am: $date\n";
-$textBody .= "Datenschutz akzeptiert: Ja\n";
-
-// Email headers
-$boundary = md5(time());
-$headers  = "From: Marknate Website <noreply@marknate.ch>\r\n";
-$headers .= "Reply-To: $fullName <$email>\r\n";
-$headers .= "MIME-Version: 1.0\r\n";
-$headers .= "Content-Type: multipart/alternative; boundary=\"$boundary\"\r\n";
-$headers .= "X-Mailer: Marknate-Contact-Form/1.0\r\n";
-
-// Multipart body
-$body  = "--$boundary\r\n";
-$body .= "Content-Type: text/plain; charset=UTF-8\r\n";
-$body .= "Content-Transfer-Encoding: 8bit\r\n\r\n";
-$body .= $textBody . "\r\n";
-$body .= "--$boundary\r\n";
-$body .= "Content-Type: text/html; charset=UTF-8\r\n";
-$body .= "Content-Transfer-Encoding: 8bit\r\n\r\n";
-$body .= $htmlBody . "\r\n";
-$body .= "--$boundary--\r\n";
-
-// Send
-$sent = mail($recipient, $subject, $body, $headers);
-
-if ($sent) {
-    echo json_encode([
-        'success' => true,
-        'message' => 'Vielen Dank! Ihre Nachricht wurde erfolgreich gesendet. Ich melde mich in Kürze bei Ihnen.'
-    ]);
-} else {
-    http_response_code(500);
-    echo json_encode([
-        'success' => false,
-        'message' => 'Es gab einen Fehler beim Senden. Bitte versuchen Sie es erneut oder schreiben Sie direkt an info@marknate.ch.'
-    ]);
+// Zeilenumbrüche aus Namen würden zusätzliche Mail-Header erzeugen
+function headerValue(string $value): string
+{
+    return preg_replace('/[\r\n]+/', ' ', $value);
+}
+
+function e(string $value): string
+{
+    return htmlspecialchars($value, ENT_QUOTES, 'UTF-8');
 }
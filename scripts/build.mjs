@@ -0,0 +1,306 @@
+/**
+ * Marknate Build – erzeugt dist/ für das [assets]-Binding (wrangler.toml)
+ *
+ *   node scripts/build.mjs
+ *
+ * - rendert beide Sprachen aus templates/page.html + templates/i18n/<lang>.json
+ *   nach dist/<lang>/index.html, die 404-Seiten aus templates/404.html nach
+ *   dist/<lang>/404.html (ausgeliefert vom Worker, siehe src/pages.js)
+ * - rendert Impressum, Datenschutz und AGB (templates/legal/<key>.html) als
+ *   Dialoge in die Startseite und als eigene Seiten aus templates/legal.html,
+ *   z. B. dist/de/impressum/index.html – URLs aus templates/pages.json
+ * - kopiert assets/ und die statischen Dateien (fav.png, robots.txt, …) nach dist/
+ * - kompiliert die verwendeten Tailwind-Klassen (tailwind.config.js) nach
+ *   dist/assets/css/site.css – Tailwind CLI aus node_modules (vorher npm install)
+ * - legt alle von den Seiten referenzierten Assets zusätzlich mit Inhalts-Hash
+ *   unter dist/static/ ab (z. B. /static/js/contact-form.3f2a1b9c.js) und
+ *   schreibt die Referenzen um – manuelles `?v=` Cache-Busting entfällt
+ * - erzeugt AVIF/WebP/JPEG-Varianten der Fotos mit srcset (scripts/images.mjs)
+ * - bettet die verwendeten Icons als SVG-Sprite ein (templates/icons/, siehe scripts/icons.mjs)
+ * - erzeugt JSON-LD, Preise, FAQ und llms.txt aus templates/business.json und
+ *   bricht ab, wenn dist/ davon abweicht (scripts/business.mjs)
+ * - erzeugt sitemap.xml mit hreflang-Alternativen
+ * - schreibt die SHA-256-Hashes der Inline-Scripts nach dist/csp.json; der Worker
+ *   erlaubt in der Content-Security-Policy nur diese (src/security.js)
+ *
+ * Template-Syntax: {{ key }} (HTML-escaped), {{{ key }}} (roh, z. B. in JSON-LD).
+ * Schlüssel: aus der Übersetzungsdatei (z. B. nav.about), business.* (Kontaktdaten,
+ * siehe businessVars) oder page.* (siehe pageVars).
+ * Fehlt ein Schlüssel in einer Sprache, bricht der Build ab.
+ */
+import { execFileSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { cpSync, existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join, parse, relative } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { businessVars, checkDrift, faqItems, llmsVars, pricingCards, structuredData } from './business.mjs';
+import { collectIcons, iconSprite, replaceIconSpans } from './icons.mjs';
+import { buildImages, responsiveImages } from './images.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = join(ROOT, 'dist');
+const SITE_URL = 'https://marknate.ch';
+
+// Tailwind CLI in der Version aus package.json / package-lock.json
+const TAILWIND = createRequire(import.meta.url).resolve('tailwindcss/lib/cli.js');
+
+// Öffentliche URLs je Seite und Sprache inkl. x-default, auch für den Link-Header
+// des Workers (src/pages.js). `/` leitet der Worker je nach Sprache weiter.
+const ROUTES = JSON.parse(readFileSync(join(ROOT, 'templates/pages.json'), 'utf8'));
+
+// Eine Startseite pro Sprache; `file` ist die Datei in dist/
+const PAGES = [
+    { lang: 'de', file: 'de/index.html', notFound: 'de/404.html', priority: '1.0' },
+    { lang: 'en', file: 'en/index.html', notFound: 'en/404.html', priority: '0.8' },
+];
+
+// Rechtstexte: Titel aus <key>.title, Beschreibung aus legal.<key>Description
+const LEGAL_PAGES = ['imprint', 'privacy', 'terms'];
+
+// Werden unverändert nach dist/ kopiert
+const STATIC_FILES = ['fav.png', 'robots.txt', '_headers', '_redirects'];
+
+// Inline-<script> ohne src; Datenblöcke wie JSON-LD führt der Browser nicht aus
+const INLINE_SCRIPT = /<script\b((?:(?!\bsrc=)[^>])*)>([\s\S]*?)<\/script>/g;
+const SCRIPT_TYPE = /\btype="(?!(?:text|application)\/javascript"|module")[^"]*"/;
+
+// src="assets/…", href="assets/…" und url('assets/…') in den gerenderten Seiten
+const ASSET_REFERENCE = /(\b(?:src|href)=")(assets\/[^"?#]+)(?:\?[^"#]*)?(")|(url\(')(assets\/[^'?#]+)(?:\?[^'#]*)?('\))/g;
+
+/**
+ * Baut die Seite nach `dist` (default: dist/) und bricht bei Abweichungen vom
+ * Profil ab – test/business.test.mjs baut so in ein temporäres Verzeichnis.
+ */
+export async function build(dist = DIST) {
+    rmSync(dist, { recursive: true, force: true });
+    mkdirSync(dist, { recursive: true });
+
+    for (const file of STATIC_FILES) {
+        if (existsSync(join(ROOT, file))) {
+            cpSync(join(ROOT, file), join(dist, file));
+        }
+    }
+    // Ungehashte Kopie: JSON-Kataloge (fetch im Browser) und absolute URLs (JSON-LD, og:image)
+    cpSync(join(ROOT, 'assets'), join(dist, 'assets'), { recursive: true });
+    buildStylesheet(join(dist, 'assets/css/site.css'));
+
+    const template = readFileSync(join(ROOT, 'templates/page.html'), 'utf8');
+    const notFoundTemplate = readFileSync(join(ROOT, 'templates/404.html'), 'utf8');
+    const legalTemplate = readFileSync(join(ROOT, 'templates/legal.html'), 'utf8');
+    const business = businessVars();
+    const fingerprints = new Map();
+    const icons = iconSprite(collectIcons());
+    const { images, social } = await buildImages(dist);
+    const files = [];
+    const sitemapEntries = [];
+
+    for (const page of PAGES) {
+        const messages = JSON.parse(readFileSync(join(ROOT, `templates/i18n/${page.lang}.json`), 'utf8'));
+        const texts = { ...messages, business };
+        const legalTexts = {};
+        for (const key of LEGAL_PAGES) {
+            legalTexts[key] = render(readFileSync(join(ROOT, `templates/legal/${key}.html`), 'utf8'), texts, page.lang);
+        }
+
+        const home = pageVars('home', page.lang);
+        const vars = {
+            ...texts,
+            page: {
+                ...home,
+                icons,
+                socialImage: SITE_URL + social,
+                legalTexts,
+                jsonLd: structuredData(messages, { site: SITE_URL, url: home.url, lang: page.lang }),
+                pricing: pricingCards(messages, page.lang),
+                faq: faqItems(messages, page.lang),
+            },
+        };
+        mkdirSync(join(dist, page.lang), { recursive: true });
+        const html = responsiveImages(replaceIconSpans(render(template, vars, page.lang)), images);
+        writeFileSync(join(dist, page.file), fingerprintReferences(html, fingerprints, dist));
+        writeFileSync(join(dist, page.notFound), fingerprintReferences(render(notFoundTemplate, vars, page.lang), fingerprints, dist));
+        files.push(page.file, page.notFound);
+        sitemapEntries.push({ route: 'home', lang: page.lang, priority: page.priority });
+
+        for (const key of LEGAL_PAGES) {
+            const legalVars = {
+                ...texts,
+                page: {
+                    ...pageVars(key, page.lang),
+                    title: messages[key].title,
+                    description: messages.legal[`${key}Description`],
+                    legalText: legalTexts[key],
+                },
+            };
+            const file = `${ROUTES[key][page.lang].slice(1)}index.html`;
+            mkdirSync(join(dist, dirname(file)), { recursive: true });
+            writeFileSync(join(dist, file), fingerprintReferences(render(legalTemplate, legalVars, page.lang), fingerprints, dist));
+            files.push(file);
+            sitemapEntries.push({ route: key, lang: page.lang, priority: '0.3' });
+        }
+    }
+
+    writeFileSync(join(dist, 'csp.json'), `${JSON.stringify({ scriptHashes: scriptHashes(files, dist) }, null, 2)}\n`);
+    writeFileSync(join(dist, 'sitemap.xml'), sitemap(sitemapEntries, new Date().toISOString().slice(0, 10)));
+    writeFileSync(join(dist, 'llms.txt'), llmsTxt(business));
+
+    const drift = checkDrift(dist);
+    if (drift.length > 0) {
+        throw new Error(`dist/ weicht von templates/business.json ab:\n- ${drift.join('\n- ')}`);
+    }
+
+    console.log(`dist/: ${files.join(', ')}, csp.json, sitemap.xml, llms.txt, ${fingerprints.size} Assets mit Hash, ${images.size} Bilder mit Varianten`);
+}
+
+// llms.txt ist deutsch und verweist auf die deutschen Seiten
+function llmsTxt(business) {
+    const messages = JSON.parse(readFileSync(join(ROOT, 'templates/i18n/de.json'), 'utf8'));
+    const vars = {
+        ...messages,
+        business,
+        llms: llmsVars(messages, 'de'),
+        page: { ...pageVars('home', 'de'), site: SITE_URL },
+    };
+    return render(readFileSync(join(ROOT, 'templates/llms.txt'), 'utf8'), vars, 'de');
+}
+
+// Seiten und Admin (/assets/css/site.css) teilen sich dasselbe Stylesheet
+function buildStylesheet(output) {
+    execFileSync(
+        process.execPath,
+        [
+            TAILWIND,
+            '--config', join(ROOT, 'tailwind.config.js'),
+            '--input', join(ROOT, 'templates/tailwind.css'),
+            '--output', output,
+            '--minify',
+        ],
+        {
+            cwd: ROOT,
+            stdio: ['ignore', 'ignore', 'inherit'],
+            env: { ...process.env, BROWSERSLIST_IGNORE_OLD_DATA: '1' },
+        }
+    );
+}
+
+// `route` ist ein Schlüssel aus templates/pages.json
+function pageVars(route, lang) {
+    const other = PAGES.find((candidate) => candidate.lang !== lang);
+    return {
+        lang,
+        url: SITE_URL + ROUTES[route][lang],
+        home: ROUTES.home[lang],
+        switchHref: ROUTES[route][other.lang],
+        legal: Object.fromEntries(LEGAL_PAGES.map((key) => [key, ROUTES[key][lang]])),
+        alternates: alternates(route)
+            .map(({ hreflang, href }) => `<link rel="alternate" hreflang="${hreflang}" href="${href}">`)
+            .join('\n    '),
+    };
+}
+
+// hreflang-Paare für <head> und sitemap.xml (dieselben wie im Link-Header des Workers)
+function alternates(route) {
+    return Object.entries(ROUTES[route]).map(([hreflang, path]) => ({ hreflang, href: SITE_URL + path }));
+}
+
+function render(template, vars, lang) {
+    const missing = new Set();
+    const html = template.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, key) => {
+        const value = lookup(vars, rawKey || key);
+        if (typeof value !== 'string') {
+            missing.add(rawKey || key);
+            return match;
+        }
+        return rawKey ? value : escapeHtml(value);
+    });
+
+    if (missing.size > 0) {
+        throw new Error(`templates/i18n/${lang}.json: fehlende Schlüssel ${[...missing].join(', ')}`);
+    }
+    return html;
+}
+
+function lookup(vars, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), vars);
+}
+
+function fingerprintReferences(html, fingerprints, dist) {
+    return html.replace(ASSET_REFERENCE, (match, attrStart, attrPath, attrEnd, urlStart, urlPath, urlEnd) => {
+        const url = fingerprint(attrPath || urlPath, fingerprints, dist);
+        return attrPath ? `${attrStart}${url}${attrEnd}` : `${urlStart}${url}${urlEnd}`;
+    });
+}
+
+/**
+ * Kopiert dist/assets/<pfad> nach dist/static/<pfad mit Hash> und liefert die URL.
+ * Quelle ist dist/, damit auch generierte Dateien (assets/css/site.css) einen Hash bekommen.
+ */
+function fingerprint(assetPath, fingerprints, dist) {
+    if (fingerprints.has(assetPath)) return fingerprints.get(assetPath);
+
+    const source = join(dist, assetPath);
+    if (!existsSync(source)) {
+        throw new Error(`Asset nicht gefunden: ${assetPath}`);
+    }
+
+    const hash = createHash('sha256').update(readFileSync(source)).digest('hex').slice(0, 8);
+    const { dir, name, ext } = parse(relative(join(dist, 'assets'), source));
+    const target = join('static', dir, `${name}.${hash}${ext}`);
+
+    mkdirSync(join(dist, dirname(target)), { recursive: true });
+    cpSync(source, join(dist, target));
+
+    const url = `/${target.split('\\').join('/')}`;
+    fingerprints.set(assetPath, url);
+    return url;
+}
+
+/**
+ * CSP-Quellen ('sha256-…') aller Inline-Scripts der fertigen Seiten. Gehasht wird
+ * der Inhalt so, wie er in dist/ steht – danach darf ihn nichts mehr ändern.
+ */
+function scriptHashes(files, dist) {
+    const hashes = new Set();
+    for (const file of files) {
+        for (const [, attributes, content] of readFileSync(join(dist, file), 'utf8').matchAll(INLINE_SCRIPT)) {
+            if (SCRIPT_TYPE.test(attributes)) continue;
+            hashes.add(`'sha256-${createHash('sha256').update(content).digest('base64')}'`);
+        }
+    }
+    return [...hashes];
+}
+
+function sitemap(entries, lastmod) {
+    const urls = entries.map(({ route, lang, priority }) => {
+        const links = alternates(route)
+            .map(({ hreflang, href }) => `        <xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`)
+            .join('\n');
+
+        return `    <url>
+        <loc>${SITE_URL + ROUTES[route][lang]}</loc>
+${links}
+        <lastmod>${lastmod}</lastmod>
+        <changefreq>monthly</changefreq>
+        <priority>${priority}</priority>
+    </url>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls}
+</urlset>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await build();
+}
@@ -0,0 +1,452 @@
+/**
+ * Marknate Business-Profil – Firmendaten aus einer Quelle (templates/business.json)
+ *
+ *   node scripts/business.mjs
+ *
+ * Adresse, Telefon, E-Mail, Leistungen, Preise und FAQ stehen nur in
+ * templates/business.json, die Texte dazu in templates/i18n/<lang>.json.
+ * Der Build (scripts/build.mjs) erzeugt daraus
+ * - das JSON-LD der Startseiten (LocalBusiness, Service, Offer, FAQPage)
+ * - die Preiskarten (#preise) und die Fragen (#faq)
+ * - die Listen in llms.txt (templates/llms.txt)
+ * und stellt die Kontaktdaten den Templates als business.* bereit. Der Worker
+ * liest dieselbe Datei (functions/_lib/templates/contact-details.js).
+ *
+ * checkDrift() vergleicht das fertige dist/ mit dem Profil: fremde Preise,
+ * Telefonnummern, E-Mail-Adressen und fehlende Leistungen gelten als Fehler.
+ * Der Build bricht dann ab; direkt aufgerufen prüft das Script ein bestehendes dist/.
+ */
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const BUSINESS = JSON.parse(readFileSync(join(ROOT, 'templates/business.json'), 'utf8'));
+
+const ROUTES = JSON.parse(readFileSync(join(ROOT, 'templates/pages.json'), 'utf8'));
+
+// Zahlenformat der Preise (de-CH: 1’200)
+const LOCALES = { de: 'de-CH', en: 'en-GB' };
+
+// Preiskarten: `featured` im Profil wählt die hervorgehobene Variante
+const CARD_STYLES = {
+    default: {
+        card: 'bg-white p-10 rounded-3xl shadow-xl border border-white hover:border-brand/50 transition-all hover:translate-y-[-5px] duration-300 flex flex-col h-full',
+        header: 'flex justify-between items-start mb-8 pb-8 border-b border-gray-100',
+        badge: 'text-xs text-brand-gray uppercase tracking-wider font-bold bg-gray-100 px-2 py-1 rounded inline-block',
+        list: 'space-y-4 mb-10 flex-grow',
+        check: 'mt-1 w-5 h-5 rounded-full bg-brand/10 flex items-center justify-center text-brand shrink-0',
+        cta: 'block w-full py-4 text-center border-2 border-brand text-brand font-bold rounded-xl hover:bg-brand hover:text-white transition-all text-sm uppercase tracking-wider flex items-center justify-center gap-2',
+    },
+    featured: {
+        card: 'bg-brand-light p-10 rounded-3xl shadow-xl border border-brand/20 hover:border-brand transition-all hover:translate-y-[-5px] duration-300 relative flex flex-col h-full overflow-hidden text-brand-text',
+        header: 'flex justify-between items-start mb-8 pb-8 border-b border-brand-dark/10 relative z-10',
+        badge: 'text-xs text-brand-dark/70 uppercase tracking-wider font-bold bg-white/50 px-2 py-1 rounded inline-block',
+        list: 'space-y-4 mb-10 flex-grow relative z-10',
+        check: 'mt-1 w-5 h-5 rounded-full bg-brand flex items-center justify-center text-white shrink-0',
+        cta: 'block w-full py-4 text-center bg-brand text-white font-bold rounded-xl hover:bg-brand-dark transition-all text-sm uppercase tracking-wider relative z-10 shadow-md flex items-center justify-center gap-2',
+    },
+};
+
+/**
+ * Kontaktdaten für die Templates ({{ business.telephoneDisplay }} usw.).
+ */
+export function businessVars() {
+    const { address } = BUSINESS;
+    return {
+        name: BUSINESS.name,
+        legalName: BUSINESS.legalName,
+        company: `${BUSINESS.name}, ${BUSINESS.legalName}`,
+        founder: BUSINESS.founder.name,
+        uid: BUSINESS.uid,
+        email: BUSINESS.email,
+        telephone: BUSINESS.telephone,
+        telephoneDisplay: BUSINESS.telephoneDisplay,
+        whatsapp: `https://wa.me/${BUSINESS.telephone.replace(/\D/g, '')}`,
+        street: address.street,
+        city: `${address.country}-${address.postalCode} ${address.locality}`,
+        locality: address.locality,
+        region: address.region,
+    };
+}
+
+/**
+ * JSON-LD der Startseite, eingerückt für <script type="application/ld+json">.
+ * `site` ist die Basis-URL ohne Schrägstrich, `url` die URL der Seite.
+ */
+export function structuredData(messages, { site, url, lang }) {
+    const { address } = BUSINESS;
+    const organization = { '@id': `${site}/#organization` };
+    const person = { '@id': `${site}/#person` };
+    const prices = BUSINESS.offers.map((offer) => offer.price);
+
+    const graph = [
+        {
+            '@type': 'WebSite',
+            '@id': `${site}/#website`,
+            name: BUSINESS.name,
+            url: `${site}/`,
+            description: messages.jsonLd.websiteDescription,
+            inLanguage: messages.jsonLd.inLanguage,
+            publisher: organization,
+        },
+        {
+            '@type': 'LocalBusiness',
+            ...organization,
+            name: businessVars().company,
+            alternateName: BUSINESS.name,
+            url: `${site}/`,
+            logo: `${site}/assets/imgs/logo.png`,
+            image: `${site}/assets/imgs/hero3.jpg`,
+            description: messages.jsonLd.businessDescription,
+            telephone: BUSINESS.telephone,
+            email: BUSINESS.email,
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: address.street,
+                addressLocality: address.locality,
+                postalCode: address.postalCode,
+                addressCountry: address.country,
+                addressRegion: address.region,
+            },
+            geo: {
+                '@type': 'GeoCoordinates',
+                latitude: BUSINESS.geo.latitude,
+                longitude: BUSINESS.geo.longitude,
+            },
+            areaServed: {
+                '@type': 'Country',
+                name: messages.imprint.country,
+            },
+            founder: person,
+            priceRange: `${BUSINESS.currency} ${Math.min(...prices)}–${Math.max(...prices)}`,
+            knowsLanguage: BUSINESS.languages,
+            sameAs: BUSINESS.sameAs,
+            hasOfferCatalog: {
+                '@type': 'OfferCatalog',
+                name: messages.jsonLd.catalogName,
+                itemListElement: services(messages).map((service) => ({
+                    '@type': 'Offer',
+                    itemOffered: {
+                        '@type': 'Service',
+                        name: service.name,
+                        description: service.description,
+                    },
+                })),
+            },
+            makesOffer: offers(messages, lang).map((offer) => ({
+                '@type': 'Offer',
+                name: offer.name,
+                description: offer.summary,
+                url: `${url}#preise`,
+                price: offer.price,
+                priceCurrency: BUSINESS.currency,
+                priceSpecification: {
+                    '@type': 'UnitPriceSpecification',
+                    price: offer.price,
+                    priceCurrency: BUSINESS.currency,
+                    referenceQuantity: { '@type': 'QuantitativeValue', value: offer.hours, unitCode: 'HUR' },
+                },
+                seller: organization,
+            })),
+        },
+        {
+            '@type': 'Person',
+            ...person,
+            name: BUSINESS.founder.name,
+            jobTitle: messages.jsonLd.jobTitle,
+            image: `${site}/assets/imgs/hero.jpg`,
+            url: `${site}/`,
+            worksFor: organization,
+            sameAs: BUSINESS.founder.sameAs,
+        },
+        {
+            '@type': 'WebPage',
+            '@id': `${url}#webpage`,
+            url,
+            name: messages.meta.title,
+            description: messages.jsonLd.pageDescription,
+            isPartOf: { '@id': `${site}/#website` },
+            about: organization,
+            inLanguage: messages.jsonLd.inLanguage,
+        },
+        {
+            '@type': 'FAQPage',
+            '@id': `${url}#faq`,
+            isPartOf: { '@id': `${url}#webpage` },
+            inLanguage: messages.jsonLd.inLanguage,
+            mainEntity: questions(messages, lang).map((item) => ({
+                '@type': 'Question',
+                name: item.question,
+                acceptedAnswer: { '@type': 'Answer', text: item.answer },
+            })),
+        },
+    ];
+
+    // "</script>" in einem Text darf den Script-Block nicht beenden
+    return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 4)
+        .replace(/</g, '\\u003c')
+        .split('\n')
+        .join('\n    ');
+}
+
+/**
+ * Preiskarten für das Raster in #preise.
+ */
+export function pricingCards(messages, lang) {
+    return offers(messages, lang).map((offer) => {
+        const style = CARD_STYLES[offer.featured ? 'featured' : 'default'];
+        const features = offer.features.map((feature) => `
+                            <li class="flex items-start gap-4">
+                                <div class="${style.check}">
+                                    <span class="iconify" data-icon="lucide:check" data-width="12"></span>
+                                </div>
+                                <span class="text-brand-text">${escapeHtml(feature)}</span>
+                            </li>`).join('');
+
+        return `
+                    <div class="${style.card}">${offer.featured ? `
+                        <div class="absolute top-0 right-0 w-32 h-32 bg-white opacity-40 rounded-full blur-3xl -mr-16 -mt-16"></div>` : ''}
+                        <div class="${style.header}">
+                            <div>
+                                <h3 class="text-2xl font-bold text-brand-text mb-2">${escapeHtml(offer.name)}</h3>
+                                <p class="${style.badge}">${escapeHtml(offer.badge)}</p>
+                            </div>
+                            <div class="text-right">
+                                <div class="text-4xl font-bold text-brand relative z-10">${escapeHtml(offer.formattedPrice)} <span
+                                        class="text-lg text-brand-gray font-normal">${BUSINESS.currency}</span></div>
+                            </div>
+                        </div>
+                        <ul class="${style.list}">${features}
+                        </ul>
+                        <a href="#buchen" class="${style.cta}">
+                            <span class="iconify" data-icon="lucide:calendar-check" data-width="16"></span>
+                            ${escapeHtml(offer.cta)}
+                        </a>
+                    </div>`;
+    }).join('\n').trim();
+}
+
+/**
+ * Aufklappbare Fragen für #faq (dieselben wie im FAQPage-JSON-LD).
+ */
+export function faqItems(messages, lang) {
+    return questions(messages, lang).map((item) => `
+                    <details class="group bg-white rounded-2xl border border-brand-light p-6 open:shadow-lg transition-shadow">
+                        <summary class="flex items-center justify-between gap-4 cursor-pointer list-none text-lg font-bold text-brand-text">
+                            ${escapeHtml(item.question)}
+                            <span class="iconify shrink-0 text-brand transition-transform group-open:rotate-180" data-icon="lucide:chevron-down" data-width="20"></span>
+                        </summary>
+                        <p class="mt-4 text-brand-gray leading-relaxed">${escapeHtml(item.answer)}</p>
+                    </details>`).join('\n').trim();
+}
+
+/**
+ * Markdown-Listen für templates/llms.txt.
+ */
+export function llmsVars(messages, lang) {
+    return {
+        services: services(messages)
+            .map((service, index) => `${index + 1}. **${service.name}** – ${service.description}`)
+            .join('\n'),
+        prices: offers(messages, lang)
+            .map((offer) => `- **${offer.name}** – ${BUSINESS.currency} ${offer.formattedPrice} (${offer.summary})`)
+            .join('\n'),
+        faq: questions(messages, lang)
+            .map((item) => `**${item.question}**\n${item.answer}`)
+            .join('\n\n'),
+    };
+}
+
+/**
+ * Vergleicht die Seiten und llms.txt in dist/ mit dem Profil.
+ *
+ * @returns {string[]} Abweichungen, leer wenn alles übereinstimmt
+ */
+export function checkDrift(dist) {
+    const problems = [];
+    const report = (file, message) => problems.push(`${file}: ${message}`);
+
+    for (const file of htmlFiles(dist)) {
+        checkContactDetails(file, readFileSync(join(dist, file), 'utf8'), report);
+    }
+
+    for (const lang of BUSINESS.languages) {
+        const file = `${ROUTES.home[lang].slice(1)}index.html`;
+        const messages = JSON.parse(readFileSync(join(ROOT, `templates/i18n/${lang}.json`), 'utf8'));
+        const html = readFileSync(join(dist, file), 'utf8');
+
+        checkStructuredData(file, html, messages, lang, report);
+        expectInSection(file, html, 'schwerpunkte', services(messages).map((service) => service.name), report);
+        expectInSection(file, html, 'preise', offers(messages, lang).flatMap((offer) => [offer.name, `${offer.formattedPrice} ${BUSINESS.currency}`]), report);
+        expectInSection(file, html, 'faq', questions(messages, lang).map((item) => item.question), report);
+    }
+
+    const llms = readFileSync(join(dist, 'llms.txt'), 'utf8');
+    const messages = JSON.parse(readFileSync(join(ROOT, 'templates/i18n/de.json'), 'utf8'));
+    checkText('llms.txt', llms, report);
+    for (const expected of [
+        BUSINESS.telephoneDisplay,
+        BUSINESS.email,
+        BUSINESS.address.street,
+        ...services(messages).map((service) => service.name),
+        ...offers(messages, 'de').map((offer) => `${BUSINESS.currency} ${offer.formattedPrice}`),
+    ]) {
+        if (!llms.includes(expected)) report('llms.txt', `"${expected}" fehlt`);
+    }
+
+    return problems;
+}
+
+function services(messages) {
+    return BUSINESS.services.map((key) => ({
+        name: messages.services[key],
+        description: messages.services[`${key}Text`],
+    }));
+}
+
+function offers(messages, lang) {
+    return BUSINESS.offers.map((offer) => {
+        const text = messages.pricing.offers[offer.key];
+        return {
+            ...text,
+            summary: fill(text.summary, { hours: String(offer.hours) }),
+            price: offer.price,
+            formattedPrice: formatPrice(offer.price, lang),
+            hours: offer.hours,
+            featured: Boolean(offer.featured),
+        };
+    });
+}
+
+// Antworten können Preise als {<offer.key>} enthalten
+function questions(messages, lang) {
+    const prices = Object.fromEntries(BUSINESS.offers.map((offer) => [offer.key, formatPrice(offer.price, lang)]));
+    return BUSINESS.faq.map((key) => ({
+        question: messages.faq.items[key].question,
+        answer: fill(messages.faq.items[key].answer, prices),
+    }));
+}
+
+function formatPrice(price, lang) {
+    return price.toLocaleString(LOCALES[lang] || LOCALES.de);
+}
+
+function fill(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? params[name] : match));
+}
+
+// Gilt für jede Seite: nur Preise, Telefonnummer, E-Mail und Adresse aus dem Profil
+function checkContactDetails(file, html, report) {
+    for (const [, href] of html.matchAll(/href="(tel:[^"]*|mailto:[^"]*|https:\/\/wa\.me\/[^"]*)"/g)) {
+        const expected = href.startsWith('tel:')
+            ? `tel:${BUSINESS.telephone}`
+            : href.startsWith('mailto:')
+                ? `mailto:${BUSINESS.email}`
+                : businessVars().whatsapp;
+        if (href.split('?')[0] !== expected) report(file, `Link ${href} statt ${expected}`);
+    }
+    checkText(file, visibleText(html), report);
+}
+
+function checkText(file, text, report) {
+    const prices = BUSINESS.offers.map((offer) => offer.price);
+    for (const [match, before, after] of text.matchAll(/CHF\s*(\d[\d'’]*)|(\d[\d'’]*)\s*CHF/g)) {
+        if (!prices.includes(Number((before || after).replace(/\D/g, '')))) {
+            report(file, `Preis "${match}" steht nicht im Profil`);
+        }
+    }
+    for (const [match] of text.matchAll(/\+41[\d ]{8,}\d/g)) {
+        if (match !== BUSINESS.telephoneDisplay) report(file, `Telefonnummer "${match}" statt ${BUSINESS.telephoneDisplay}`);
+    }
+    for (const [match] of text.matchAll(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g)) {
+        if (match !== BUSINESS.email) report(file, `E-Mail-Adresse "${match}" statt ${BUSINESS.email}`);
+    }
+    for (const [match] of text.matchAll(/\bCH-\d{4} [\p{L}-]+/gu)) {
+        if (match !== businessVars().city) report(file, `Ort "${match}" statt ${businessVars().city}`);
+    }
+}
+
+function checkStructuredData(file, html, messages, lang, report) {
+    const script = html.match(/<script type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/);
+    let graph;
+    try {
+        graph = JSON.parse(script[1])['@graph'];
+    } catch (err) {
+        report(file, `JSON-LD fehlt oder ist ungültig (${err.message})`);
+        return;
+    }
+
+    const business = graph.find((node) => node['@type'] === 'LocalBusiness') || {};
+    const faq = graph.find((node) => node['@type'] === 'FAQPage') || {};
+    const expect = (label, actual, expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            report(file, `JSON-LD ${label}: ${JSON.stringify(actual)} statt ${JSON.stringify(expected)}`);
+        }
+    };
+
+    expect('telephone', business.telephone, BUSINESS.telephone);
+    expect('email', business.email, BUSINESS.email);
+    expect('streetAddress', business.address?.streetAddress, BUSINESS.address.street);
+    expect('postalCode', business.address?.postalCode, BUSINESS.address.postalCode);
+    expect('Leistungen', (business.hasOfferCatalog?.itemListElement || []).map((item) => item.itemOffered?.name),
+        services(messages).map((service) => service.name));
+    expect('Preise', (business.makesOffer || []).map((offer) => offer.price), BUSINESS.offers.map((offer) => offer.price));
+    expect('FAQ', (faq.mainEntity || []).map((item) => item.name), questions(messages, lang).map((item) => item.question));
+}
+
+function expectInSection(file, html, id, texts, report) {
+    const section = html.match(new RegExp(`<section id="${id}"[\\s\\S]*?</section>`));
+    if (!section) {
+        report(file, `Abschnitt #${id} fehlt`);
+        return;
+    }
+    const text = visibleText(section[0]);
+    for (const expected of texts) {
+        if (!text.includes(expected)) report(file, `#${id}: "${expected}" fehlt`);
+    }
+}
+
+// Text ohne Tags, Scripts und Styles, Leerraum zusammengefasst
+function visibleText(html) {
+    return html
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/g, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ');
+}
+
+function htmlFiles(dir, prefix = '') {
+    return readdirSync(join(dir, prefix), { withFileTypes: true }).flatMap((entry) => {
+        const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) return htmlFiles(dir, path);
+        return entry.name.endsWith('.html') ? [path] : [];
+    });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const dist = join(ROOT, 'dist');
+    if (!existsSync(join(dist, 'llms.txt'))) {
+        console.error('dist/ fehlt – zuerst node scripts/build.mjs ausführen');
+        process.exit(1);
+    }
+
+    const problems = checkDrift(dist);
+    for (const problem of problems) console.error(`- ${problem}`);
+    console.log(problems.length > 0
+        ? `${problems.length} Abweichungen von templates/business.json`
+        : 'dist/ stimmt mit templates/business.json überein.');
+    process.exitCode = problems.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,316 @@
+/**
+ * Marknate Kontaktformular – gemeinsamer Vertrag von Worker und PHP-Fallback
+ *
+ *   node scripts/contact-contract.mjs <url> [<url> …]
+ *
+ * Schickt dieselben Anfragen (FIXTURES) an jede URL und prüft Status,
+ * CORS-Header und JSON-Antwort. Die erwarteten Texte stammen aus
+ * assets/forms/contact.json und assets/i18n/contact.json – dieselben Dateien,
+ * die functions/api/contact.js und php/contact.php lesen.
+ *
+ * npm test startet beide Server selbst und prüft sie mit runContract()
+ * (test/contact-contract.test.mjs; ohne PHP wird der PHP-Teil übersprungen).
+ *
+ * Von Hand gegen laufende Server, z. B. in zwei Terminals:
+ *   npx wrangler dev --var MAIL_TRANSPORT:log --var RATE_LIMIT_MAX:1000
+ *   php -S localhost:8000 -t php
+ *   node scripts/contact-contract.mjs http://localhost:8787/api/contact http://localhost:8000/contact.php
+ *
+ * Ohne FORM_TOKEN_SECRET (.dev.vars) starten, sonst scheitern die Anfragen
+ * nach dem Honeypot am Formular-Token. Anhänge nur mit Fehlern: gültige
+ * Dateien speichert der Worker in R2, PHP lehnt sie ab (503).
+ */
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const SCHEMA = JSON.parse(readFileSync(join(ROOT, 'assets/forms/contact.json'), 'utf8'));
+const CATALOG = JSON.parse(readFileSync(join(ROOT, 'assets/i18n/contact.json'), 'utf8'));
+
+const ALLOWED_ORIGIN = 'https://marknate.ch';
+const FOREIGN_ORIGIN = 'https://example.com';
+
+const VALID = {
+    vorname: 'Erika',
+    nachname: 'Muster',
+    email: 'erika.muster@example.com',
+    company: 'Muster AG',
+    phone: '+41 41 123 45 67',
+    leistung: 'workshops',
+    message: 'Wir planen einen Workshop zur Positionierung und hätten gerne ein Angebot.',
+    privacy: 'on',
+};
+
+const FILE_FIELD = SCHEMA.fields.find((field) => field.type === 'file');
+
+/**
+ * Eine Anfrage und was beide Implementierungen darauf antworten müssen.
+ * `errors` nennt je Feld die verletzte Regel, Texte & Reihenfolge kommen aus dem Schema.
+ */
+export const FIXTURES = [
+    {
+        name: 'Preflight einer erlaubten Origin',
+        method: 'OPTIONS',
+        headers: { Origin: ALLOWED_ORIGIN, 'Access-Control-Request-Method': 'POST' },
+        expect: {
+            status: 204,
+            headers: {
+                'access-control-allow-origin': ALLOWED_ORIGIN,
+                'access-control-allow-methods': 'POST, OPTIONS',
+                'access-control-allow-headers': 'Content-Type, Accept',
+            },
+        },
+    },
+    {
+        name: 'Preflight einer fremden Origin',
+        method: 'OPTIONS',
+        headers: { Origin: FOREIGN_ORIGIN, 'Access-Control-Request-Method': 'POST' },
+        expect: { status: 204, headers: { 'access-control-allow-origin': null } },
+    },
+    {
+        name: 'Fremde Origin',
+        headers: { Origin: FOREIGN_ORIGIN },
+        fields: VALID,
+        expect: { status: 403, body: (lang) => ({ success: false, code: 'origin', message: text(lang, 'abuse.origin') }) },
+    },
+    {
+        name: 'Ohne Origin und Referer',
+        headers: { Origin: null },
+        fields: VALID,
+        expect: { status: 403, body: (lang) => ({ success: false, code: 'origin', message: text(lang, 'abuse.origin') }) },
+    },
+    {
+        name: 'Honeypot vor der Validierung',
+        fields: { website: 'https://spam.example' },
+        expect: { status: 200, body: (lang) => ({ success: true, message: text(lang, 'status.honeypot') }) },
+    },
+    {
+        name: 'Leeres Formular',
+        fields: {},
+        expect: { status: 422, errors: { vorname: 'required', nachname: 'required', email: 'required', message: 'required', privacy: 'required' } },
+    },
+    {
+        name: 'Englisch per Formularfeld lang',
+        fields: { lang: 'en' },
+        expect: { status: 422, lang: 'en', errors: { vorname: 'required', nachname: 'required', email: 'required', message: 'required', privacy: 'required' } },
+    },
+    {
+        name: 'Englisch per Accept-Language',
+        headers: { 'Accept-Language': 'fr-CH, en-GB;q=0.9, de;q=0.5' },
+        fields: { ...VALID, email: 'erika.muster' },
+        expect: { status: 422, lang: 'en', errors: { email: 'pattern' } },
+    },
+    {
+        name: 'Formularfeld lang vor Accept-Language',
+        headers: { 'Accept-Language': 'en' },
+        fields: { ...VALID, lang: 'de', email: '' },
+        expect: { status: 422, errors: { email: 'required' } },
+    },
+    {
+        name: 'Nachricht zu kurz',
+        fields: { ...VALID, message: '  Hallo   ' },
+        expect: { status: 422, errors: { message: 'minLength' } },
+    },
+    {
+        name: 'Nachricht zu lang',
+        fields: { ...VALID, message: 'a'.repeat(fieldRule('message', 'maxLength') + 1) },
+        expect: { status: 422, errors: { message: 'maxLength' } },
+    },
+    {
+        name: 'Namen zu lang, Umlaute zählen einfach',
+        fields: { ...VALID, vorname: 'ä'.repeat(fieldRule('vorname', 'maxLength')), nachname: 'ö'.repeat(fieldRule('nachname', 'maxLength') + 1) },
+        expect: { status: 422, errors: { nachname: 'maxLength' } },
+    },
+    {
+        name: 'Telefon und Leistung ungültig',
+        fields: { ...VALID, phone: 'bitte anrufen', leistung: 'catering' },
+        expect: { status: 422, errors: { phone: 'pattern', leistung: 'options' } },
+    },
+    {
+        name: 'Datenschutz nicht akzeptiert',
+        fields: { ...VALID, privacy: '' },
+        expect: { status: 422, errors: { privacy: 'required' } },
+    },
+    {
+        name: 'Anhang mit falschem Dateityp',
+        fields: VALID,
+        files: [{ name: 'notiz.txt', type: 'text/plain', size: 64 }],
+        expect: { status: 422, errors: { [FILE_FIELD.name]: 'accept' } },
+    },
+    {
+        name: 'Anhang zu gross',
+        fields: VALID,
+        files: [{ name: 'briefing.pdf', type: 'application/pdf', size: FILE_FIELD.maxSize + 1 }],
+        expect: { status: 422, errors: { [FILE_FIELD.name]: 'maxSize' } },
+    },
+    {
+        name: 'Zu viele Links',
+        fields: { ...VALID, message: 'Siehe https://a.example, https://b.example und www.c.example' },
+        expect: { status: 403, body: (lang) => ({ success: false, code: 'tooManyLinks', message: text(lang, 'abuse.tooManyLinks') }) },
+    },
+    {
+        // Eindeutige Nachricht, sonst greift beim Worker die Duplikat-Erkennung
+        name: 'Gültige Anfrage',
+        fields: { ...VALID, message: `${VALID.message} (${new Date().toISOString()})` },
+        expect: { accepted: true },
+    },
+];
+
+/**
+ * Schickt alle FIXTURES an `url`.
+ *
+ * @returns {Promise<{ name: string, problems: string[] }[]>}
+ */
+export async function runContract(url) {
+    const results = [];
+    for (const fixture of FIXTURES) {
+        let problems;
+        try {
+            problems = checkResponse(fixture, await send(url, fixture));
+        } catch (err) {
+            problems = [`Anfrage fehlgeschlagen: ${err.message}`];
+        }
+        results.push({ name: fixture.name, problems });
+    }
+    return results;
+}
+
+async function send(url, fixture) {
+    const method = fixture.method || 'POST';
+    // Wie der Browser auf marknate.ch: mit erlaubter Origin, ausser die Fixture setzt sie (null = ohne)
+    const headers = { Accept: 'application/json', Origin: ALLOWED_ORIGIN, ...fixture.headers };
+    for (const name of Object.keys(headers)) {
+        if (headers[name] === null) delete headers[name];
+    }
+    const init = { method, headers, redirect: 'manual' };
+
+    if (method === 'POST') {
+        const body = new FormData();
+        for (const [name, value] of Object.entries(fixture.fields || {})) body.append(name, value);
+        for (const file of fixture.files || []) {
+            body.append(FILE_FIELD.name, new Blob([new Uint8Array(file.size)], { type: file.type }), file.name);
+        }
+        init.body = body;
+    }
+
+    const response = await fetch(url, init);
+    const raw = await response.text();
+    let json = null;
+    try {
+        json = raw ? JSON.parse(raw) : null;
+    } catch {
+        // bleibt null, checkResponse meldet es
+    }
+    return { status: response.status, headers: response.headers, raw, json };
+}
+
+function checkResponse(fixture, response) {
+    const { expect } = fixture;
+    const problems = [];
+    const lang = expect.lang || 'de';
+
+    if (expect.accepted) return checkAccepted(response, lang);
+
+    if (response.status !== expect.status) {
+        problems.push(`Status ${response.status} statt ${expect.status}`);
+    }
+
+    for (const [name, value] of Object.entries(expect.headers || {})) {
+        const actual = response.headers.get(name);
+        if (actual !== value) {
+            problems.push(`${name}: ${JSON.stringify(actual)} statt ${JSON.stringify(value)}`);
+        }
+    }
+
+    const body = expect.errors ? validationBody(expect.errors, lang) : expect.body?.(lang);
+    if (body) {
+        if (!response.json) return [...problems, `keine JSON-Antwort: ${response.raw.slice(0, 200)}`];
+        problems.push(...compare(body, response.json));
+        if (expect.errors && !sameKeys(body, response.json)) {
+            problems.push(`Schlüssel ${Object.keys(response.json).join(', ')} statt ${Object.keys(body).join(', ')}`);
+        }
+    }
+
+    return problems;
+}
+
+// Versendet (200), zur Wiederholung gespeichert (202) oder Versandfehler mit `details` (500)
+function checkAccepted(response, lang) {
+    const { status, json } = response;
+    if (!json) return [`keine JSON-Antwort (Status ${status}): ${response.raw.slice(0, 200)}`];
+
+    if (status === 200) return compare({ success: true, message: text(lang, 'status.success') }, json);
+    if (status === 202) return compare({ success: true, message: text(lang, 'status.queued') }, json);
+    if (status === 500) {
+        const messages = ['status.unavailable', 'status.sendFailed', 'status.error'].map((key) => text(lang, key));
+        const problems = compare({ success: false }, json);
+        if (!messages.includes(json.message)) problems.push(`message: ${JSON.stringify(json.message)}`);
+        if (typeof json.details !== 'string' || !json.details) problems.push('details fehlt');
+        return problems;
+    }
+    return [`Status ${status} statt 200, 202 oder 500: ${response.raw.slice(0, 200)}`];
+}
+
+// 422-Antwort wie validateFields() in functions/_lib/form-schema.js
+function validationBody(errors, lang) {
+    const fields = {};
+    for (const field of SCHEMA.fields) {
+        const rule = errors[field.name];
+        if (rule) fields[field.name] = field.messages[rule][lang];
+    }
+    return { success: false, message: Object.values(fields).join(' '), fields };
+}
+
+function compare(expected, actual, path = '') {
+    const problems = [];
+    for (const [key, value] of Object.entries(expected)) {
+        const name = path ? `${path}.${key}` : key;
+        if (value && typeof value === 'object') {
+            if (!actual?.[key] || typeof actual[key] !== 'object') {
+                problems.push(`${name} fehlt`);
+                continue;
+            }
+            problems.push(...compare(value, actual[key], name));
+            if (!sameKeys(value, actual[key])) {
+                problems.push(`${name}: ${Object.keys(actual[key]).join(', ')} statt ${Object.keys(value).join(', ')}`);
+            }
+        } else if (actual?.[key] !== value) {
+            problems.push(`${name}: ${JSON.stringify(actual?.[key])} statt ${JSON.stringify(value)}`);
+        }
+    }
+    return problems;
+}
+
+function sameKeys(a, b) {
+    return Object.keys(a).sort().join() === Object.keys(b).sort().join();
+}
+
+function text(lang, key) {
+    return key.split('.').reduce((node, part) => node?.[part], CATALOG[lang]);
+}
+
+function fieldRule(name, rule) {
+    return SCHEMA.fields.find((field) => field.name === name)[rule];
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const urls = process.argv.slice(2);
+    if (urls.length === 0) {
+        console.error('Aufruf: node scripts/contact-contract.mjs <url> [<url> …]');
+        process.exit(1);
+    }
+
+    let failed = 0;
+    for (const url of urls) {
+        console.log(url);
+        for (const { name, problems } of await runContract(url)) {
+            console.log(`  ${problems.length > 0 ? '✗' : '✓'} ${name}`);
+            for (const problem of problems) console.log(`      ${problem}`);
+            if (problems.length > 0) failed++;
+        }
+    }
+    console.log(failed > 0 ? `${failed} Abweichungen vom Vertrag` : 'Alle Implementierungen erfüllen den Vertrag.');
+    process.exitCode = failed > 0 ? 1 : 0;
+}
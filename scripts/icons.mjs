@@ -0,0 +1,150 @@
+/**
+ * Marknate Icons – lokaler SVG-Sprite statt Iconify-Runtime
+ *
+ *   node scripts/icons.mjs
+ *
+ * Sucht alle verwendeten Icons (data-icon="lucide:mail" bzw. 'lucide:mail' in
+ * den Scripts) und legt fehlende als templates/icons/<set>-<name>.svg ab.
+ * Quelle sind die Iconify-Pakete auf npm (@iconify-json/<set>). Die SVGs werden
+ * eingecheckt – der Build (scripts/build.mjs) braucht danach kein Netz mehr.
+ *
+ * Der Build bettet alle Icons als <symbol> in die Seiten ein und ersetzt
+ *   <span class="iconify …" data-icon="lucide:mail" data-width="16"></span>
+ * durch <svg class="icon …"><use href="#icon-lucide-mail"></use></svg>.
+ */
+import { execFileSync } from 'node:child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const ICON_DIR = join(ROOT, 'templates/icons');
+
+// Iconify-Sammlungen, die auf der Website vorkommen
+const ICON_SETS = ['lucide', 'ic'];
+
+// Dateien, in denen Icons verwendet werden
+const SOURCES = [
+    { dir: 'templates', ext: '.html' },
+    { dir: 'assets/js', ext: '.js' },
+    { dir: 'scripts', ext: 'business.mjs' },
+];
+
+const ICON_REFERENCE = new RegExp(`["'](${ICON_SETS.join('|')}):([a-z0-9]+(?:-[a-z0-9]+)*)["']`, 'g');
+
+// <span class="iconify …" data-icon="set:name" data-width="N"></span> aus den Templates
+const ICON_SPAN = /<span class="iconify([^"]*)"\s+data-icon="([a-z0-9-]+):([a-z0-9-]+)"(?:\s+data-width="(\d+)")?\s*><\/span>/g;
+
+/**
+ * Alle verwendeten Icons als sortierte Liste von `set:name`.
+ */
+export function collectIcons() {
+    const icons = new Set();
+    for (const { dir, ext } of SOURCES) {
+        for (const file of readdirSync(join(ROOT, dir))) {
+            if (!file.endsWith(ext)) continue;
+            for (const [, set, name] of readFileSync(join(ROOT, dir, file), 'utf8').matchAll(ICON_REFERENCE)) {
+                icons.add(`${set}:${name}`);
+            }
+        }
+    }
+    return [...icons].sort();
+}
+
+/**
+ * Versteckter Sprite mit einem <symbol id="icon-<set>-<name>"> pro Icon,
+ * gedacht direkt nach <body>.
+ */
+export function iconSprite(icons) {
+    const missing = icons.filter((icon) => !existsSync(iconFile(icon)));
+    if (missing.length > 0) {
+        throw new Error(`Icons fehlen in templates/icons/: ${missing.join(', ')} – node scripts/icons.mjs ausführen`);
+    }
+
+    const symbols = icons.map((icon) => {
+        const svg = readFileSync(iconFile(icon), 'utf8');
+        const viewBox = svg.match(/viewBox="([^"]+)"/)[1];
+        const body = svg.replace(/^[\s\S]*?<svg[^>]*>/, '').replace(/<\/svg>\s*$/, '').trim();
+        return `<symbol id="${iconId(icon)}" viewBox="${viewBox}">${body}</symbol>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="display: none">${symbols.join('')}</svg>`;
+}
+
+/**
+ * Ersetzt die Iconify-Platzhalter einer gerenderten Seite durch <svg><use>.
+ */
+export function replaceIconSpans(html) {
+    return html.replace(ICON_SPAN, (match, classes, set, name, width) => {
+        const size = width || '1em';
+        return `<svg class="icon${classes}" width="${size}" height="${size}" aria-hidden="true" focusable="false"><use href="#${iconId(`${set}:${name}`)}"></use></svg>`;
+    });
+}
+
+function iconId(icon) {
+    return `icon-${icon.replace(':', '-')}`;
+}
+
+function iconFile(icon) {
+    return join(ICON_DIR, `${icon.replace(':', '-')}.svg`);
+}
+
+function fetchMissingIcons() {
+    const missing = collectIcons().filter((icon) => !existsSync(iconFile(icon)));
+    if (missing.length === 0) {
+        console.log('Alle Icons vorhanden.');
+        return;
+    }
+
+    const temp = mkdtempSync(join(tmpdir(), 'marknate-icons-'));
+    mkdirSync(ICON_DIR, { recursive: true });
+
+    try {
+        for (const set of new Set(missing.map((icon) => icon.split(':')[0]))) {
+            const collection = loadCollection(set, temp);
+            for (const icon of missing.filter((entry) => entry.startsWith(`${set}:`))) {
+                writeFileSync(iconFile(icon), `${toSvg(collection, icon.split(':')[1])}\n`);
+                console.log(`+ templates/icons/${icon.replace(':', '-')}.svg`);
+            }
+        }
+    } finally {
+        rmSync(temp, { recursive: true, force: true });
+    }
+}
+
+// icons.json aus dem npm-Paket @iconify-json/<set>
+function loadCollection(set, temp) {
+    const dir = join(temp, set);
+    mkdirSync(dir);
+    const npm = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+    const tarball = execFileSync(npm, ['pack', `@iconify-json/${set}`, '--silent', '--pack-destination', dir], {
+        encoding: 'utf8',
+    }).trim().split('\n').pop();
+    execFileSync('tar', ['xzf', join(dir, tarball), '-C', dir]);
+    return JSON.parse(readFileSync(join(dir, 'package/icons.json'), 'utf8'));
+}
+
+// Aliase (z. B. lucide:check-circle → circle-check-big) bis zum eigentlichen Icon auflösen
+function toSvg(collection, name) {
+    let icon = collection.icons[name];
+    let alias = collection.aliases?.[name];
+    while (!icon && alias) {
+        if (alias.rotate || alias.hFlip || alias.vFlip) {
+            throw new Error(`${collection.prefix}:${name}: gedrehte/gespiegelte Aliase werden nicht unterstützt`);
+        }
+        icon = collection.icons[alias.parent];
+        alias = collection.aliases?.[alias.parent];
+    }
+    if (!icon) {
+        throw new Error(`${collection.prefix}:${name} gibt es in @iconify-json/${collection.prefix} nicht`);
+    }
+
+    const width = icon.width || collection.width || 16;
+    const height = icon.height || collection.height || 16;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${icon.left || 0} ${icon.top || 0} ${width} ${height}">${icon.body}</svg>`;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    fetchMissingIcons();
+}
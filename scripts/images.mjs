@@ -0,0 +1,155 @@
+/**
+ * Marknate Images – responsive Varianten für den Build (scripts/build.mjs)
+ *
+ * Für jedes Bild in IMAGES (JPEG oder PNG) entstehen AVIF, WebP und JPEG in
+ * mehreren Breiten:
+ *   dist/img/<name>.<hash>-<breite>.<avif|webp|jpg>
+ * Der Hash stammt aus dem Original – neue Bilder bekommen neue URLs.
+ * Die Seiten verweisen per srcset auf /img/<name>.<hash>-<breite> ohne Endung;
+ * der Worker wählt das Format nach dem Accept-Header (functions/img/[[path]].js).
+ *
+ * In den Templates genügt
+ *   <img src="assets/imgs/hero.jpg" sizes="…" alt="…">
+ *   <link rel="preload" as="image" href="assets/imgs/hero3.jpg" imagesizes="…">
+ * – src/href, srcset, width und height setzt der Build.
+ *
+ * Konvertierung mit sharp (Version aus package.json); fertige Varianten liegen
+ * in .cache/images/ und werden nur bei geänderten Originalen neu berechnet.
+ */
+import { createHash } from 'node:crypto';
+import { cpSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname, join, parse } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const CACHE = join(ROOT, '.cache/images');
+
+// Bilder mit responsiven Varianten (Pfade wie in den Templates)
+const IMAGES = ['assets/imgs/hero.jpg', 'assets/imgs/hero.png', 'assets/imgs/hero3.jpg'];
+
+// Breiten in Pixeln; grössere als das Original werden ausgelassen
+const WIDTHS = [480, 800, 1200, 1600];
+
+const FORMATS = [
+    { ext: 'avif', format: 'avif', options: { quality: 50 } },
+    { ext: 'webp', format: 'webp', options: { quality: 75 } },
+    { ext: 'jpg', format: 'jpeg', options: { quality: 80, progressive: true }, flatten: true },
+];
+
+// JPEG kennt keine Transparenz – PNG-Originale werden auf den Seitenhintergrund gelegt
+const BACKGROUND = '#ffffff';
+
+// Vorschaubild für og:image / twitter:image (Querformat, wie in den Meta-Tags angegeben)
+const SOCIAL = { source: 'assets/imgs/hero3.jpg', width: 1200, height: 630 };
+
+/**
+ * Erzeugt alle Varianten in dist/img/. `images` enthält pro Bild die URL-Basis
+ * (ohne Breite und Endung), die Breiten und die Originalgrösse, `social` die
+ * URL des Vorschaubilds.
+ *
+ * @returns {Promise<{ images: Map<string, { base: string, widths: number[], width: number, height: number }>, social: string }>}
+ */
+export async function buildImages(dist) {
+    const images = new Map();
+    let social = '';
+    mkdirSync(join(dist, 'img'), { recursive: true });
+
+    for (const path of IMAGES) {
+        const source = join(ROOT, path);
+        const buffer = readFileSync(source);
+        const { width, height } = imageSize(buffer);
+        const hash = createHash('sha256').update(buffer).digest('hex').slice(0, 8);
+        const base = `${parse(path).name}.${hash}`;
+
+        const widths = WIDTHS.filter((candidate) => candidate < width);
+        if (widths.length === 0 || widths[widths.length - 1] !== Math.min(width, WIDTHS[WIDTHS.length - 1])) {
+            widths.push(Math.min(width, WIDTHS[WIDTHS.length - 1]));
+        }
+
+        for (const size of widths) {
+            for (const format of FORMATS) {
+                await variant(source, `${base}-${size}.${format.ext}`, dist, (image) => {
+                    const resized = image.resize(size);
+                    return (format.flatten ? resized.flatten({ background: BACKGROUND }) : resized)
+                        .toFormat(format.format, format.options);
+                });
+            }
+        }
+        if (path === SOCIAL.source) {
+            await variant(source, `${base}-social.jpg`, dist, (image) =>
+                image
+                    .resize(SOCIAL.width, SOCIAL.height, { fit: 'cover', position: sharp.strategy.attention })
+                    .toFormat(FORMATS[2].format, FORMATS[2].options)
+            );
+            social = `/img/${base}-social.jpg`;
+        }
+
+        images.set(path, { base: `/img/${base}`, widths, width, height });
+    }
+
+    return { images, social };
+}
+
+/**
+ * Setzt srcset, Fallback-src und Abmessungen für alle <img> und
+ * <link rel="preload"> auf Bilder aus IMAGES.
+ */
+export function responsiveImages(html, images) {
+    return html
+        .replace(/<img\b[^>]*>/g, (tag) => {
+            const image = images.get(attribute(tag, 'src'));
+            if (!image) return tag;
+            return tag.replace(
+                /\ssrc="[^"]*"/,
+                ` src="${fallback(image)}" srcset="${srcset(image)}" width="${image.width}" height="${image.height}"`
+            );
+        })
+        .replace(/<link\b[^>]*rel="preload"[^>]*>/g, (tag) => {
+            const image = images.get(attribute(tag, 'href'));
+            if (!image) return tag;
+            return tag.replace(/\shref="[^"]*"/, ` href="${fallback(image)}" imagesrcset="${srcset(image)}"`);
+        });
+}
+
+function srcset(image) {
+    return image.widths.map((width) => `${image.base}-${width} ${width}w`).join(', ');
+}
+
+// Mittlere Breite für Browser ohne srcset
+function fallback(image) {
+    return `${image.base}-${image.widths[Math.floor((image.widths.length - 1) / 2)]}`;
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : '';
+}
+
+// `transform` bekommt die sharp-Pipeline des Originals und setzt Grösse und Format
+async function variant(source, file, dist, transform) {
+    const cached = join(CACHE, file);
+    if (!existsSync(cached)) {
+        mkdirSync(CACHE, { recursive: true });
+        await transform(sharp(source)).toFile(cached);
+    }
+    cpSync(cached, join(dist, 'img', file));
+}
+
+// Breite und Höhe aus dem JPEG- (SOF) bzw. PNG-Header (IHDR)
+function imageSize(buffer) {
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    let offset = 2;
+    while (offset < buffer.length) {
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    throw new Error('Bildgrösse nicht lesbar (nur JPEG und PNG)');
+}
@@ -0,0 +1,132 @@
+import { detectLanguage, normalizeLanguage } from "../functions/_lib/i18n.js";
+import { readCookie } from "../functions/_lib/http.js";
+import routes from "../templates/pages.json";
+
+// Remembers the language of the last visited page for the redirect of "/"
+const LANGUAGE_COOKIE = "marknate_lang";
+const LANGUAGE_COOKIE_SECONDS = 365 * 24 * 60 * 60;
+
+// URLs of the site before the language folders (scripts/build.mjs)
+const LEGACY_PATHS = {
+  "/index.html": "/de/",
+  "/en.html": "/en/",
+};
+
+function siteUrl(env) {
+  return String(env.SITE_URL || "https://marknate.ch").replace(/\/+$/, "");
+}
+
+// Language of a path below /de/ or /en/, "" for everything else
+function pathLanguage(pathname) {
+  const match = pathname.match(/^\/([a-z]{2})(?:\/|$)/);
+  return match ? normalizeLanguage(match[1]) : "";
+}
+
+// Cookie first (an explicit choice), then Accept-Language, then German
+function preferredLanguage(request) {
+  return normalizeLanguage(readCookie(request, LANGUAGE_COOKIE)) || detectLanguage(request);
+}
+
+// Key in templates/pages.json of a language page or legal page, "" for everything else
+function pathRoute(pathname, lang) {
+  return Object.keys(routes).find((route) => routes[route][lang] === pathname) || "";
+}
+
+// Same alternates as the <link rel="alternate"> tags and sitemap.xml
+function hreflangLinks(env, route) {
+  const base = siteUrl(env);
+  return Object.entries(routes[route])
+    .map(([hreflang, path]) => `<${base}${path}>; rel="alternate"; hreflang="${hreflang}"`)
+    .join(", ");
+}
+
+/**
+ * Redirects "/" to the preferred language and old page URLs to their
+ * language folder. Returns null for every other request.
+ */
+export function languageRedirect(request, env) {
+  if (request.method !== "GET" && request.method !== "HEAD") {
+    return null;
+  }
+
+  const url = new URL(request.url);
+
+  if (LEGACY_PATHS[url.pathname]) {
+    return Response.redirect(`${url.origin}${LEGACY_PATHS[url.pathname]}${url.search}`, 301);
+  }
+
+  if (url.pathname !== "/") {
+    return null;
+  }
+
+  // Depends on the visitor, so shared caches must not keep it
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: `/${preferredLanguage(request)}/${url.search}`,
+      Link: hreflangLinks(env, "home"),
+      Vary: "Accept-Language, Cookie",
+      "Cache-Control": "private, no-cache",
+    },
+  });
+}
+
+/**
+ * Replaces the 404 of the assets binding with the 404 page in the language
+ * of the path (or the visitor's preference). Keeps the original response
+ * for non-HTML requests and if the page itself is missing.
+ */
+export async function notFoundPage(request, env, response) {
+  const accept = request.headers.get("Accept") || "";
+  if (!accept.includes("text/html") || (request.method !== "GET" && request.method !== "HEAD")) {
+    return response;
+  }
+
+  const lang = pathLanguage(new URL(request.url).pathname) || preferredLanguage(request);
+  const page = await env.ASSETS.fetch(new URL(`/${lang}/404`, request.url), {
+    method: request.method,
+  });
+
+  if (!page.ok) {
+    return response;
+  }
+
+  const headers = new Headers(page.headers);
+  headers.set("Cache-Control", "no-store");
+
+  return new Response(page.body, {
+    status: 404,
+    headers,
+  });
+}
+
+/**
+ * Adds the hreflang Link header to the language pages and legal pages and
+ * remembers the language the visitor chose (by link or language switch) in
+ * a cookie.
+ */
+export function withLanguageHeaders(request, env, response) {
+  const url = new URL(request.url);
+  const lang = pathLanguage(url.pathname);
+  const route = lang ? pathRoute(url.pathname, lang) : "";
+
+  if (!route || !response.ok) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set("Link", hreflangLinks(env, route));
+
+  if (readCookie(request, LANGUAGE_COOKIE) !== lang) {
+    headers.append(
+      "Set-Cookie",
+      `${LANGUAGE_COOKIE}=${lang}; Path=/; Max-Age=${LANGUAGE_COOKIE_SECONDS}; Secure; SameSite=Lax`
+    );
+  }
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
@@ -0,0 +1,94 @@
+// Security headers for every worker response (pages, assets, API, admin)
+
+export const CSP_REPORT_PATH = "/api/csp-report";
+
+// Hashes of the inline scripts in dist/, written by scripts/build.mjs
+const SCRIPT_HASHES_PATH = "/csp.json";
+
+// Pages: own scripts plus the inline <script> blocks built from the templates,
+// allowed by hash so that markup added anywhere else cannot run.
+// style-src needs 'unsafe-inline' for the <style> block and style="" attributes.
+// Booking runs through the own widget (/api/slots, /api/book), nothing is framed,
+// and the WhatsApp button is a plain link (no directive needed).
+function pagePolicy(scriptHashes) {
+  return [
+    "default-src 'self'",
+    ["script-src 'self'", ...scriptHashes].join(" "),
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "font-src 'self'",
+    "connect-src 'self'",
+    "frame-src 'none'",
+    "frame-ancestors 'none'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "upgrade-insecure-requests",
+    `report-uri ${CSP_REPORT_PATH}`,
+    "report-to csp",
+  ].join("; ");
+}
+
+// JSON, files and everything else that is never rendered as a document
+const RESOURCE_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+const COMMON_HEADERS = {
+  "Strict-Transport-Security": "max-age=31536000; includeSubDomains",
+  "Referrer-Policy": "strict-origin-when-cross-origin",
+  "Permissions-Policy": "camera=(), microphone=(), geolocation=(), payment=(), usb=()",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+};
+
+// Loaded once per isolate; a deploy starts new isolates with the new assets
+let scriptHashes = null;
+
+// Until the file could be read, no inline script is allowed (fails closed)
+function loadScriptHashes(request, env) {
+  if (!scriptHashes) {
+    scriptHashes = fetchScriptHashes(request, env).catch((err) => {
+      console.error(`CSP script hashes unavailable: ${err}`);
+      scriptHashes = null;
+      return [];
+    });
+  }
+  return scriptHashes;
+}
+
+async function fetchScriptHashes(request, env) {
+  const response = await env.ASSETS.fetch(new URL(SCRIPT_HASHES_PATH, request.url));
+  if (!response.ok) {
+    throw new Error(`${SCRIPT_HASHES_PATH}: ${response.status}`);
+  }
+  const { scriptHashes: hashes } = await response.json();
+  return Array.isArray(hashes) ? hashes : [];
+}
+
+/**
+ * Adds the security headers to a response. HTML gets a Content-Security-Policy
+ * that allows only the own scripts and the inline scripts hashed at build time.
+ */
+export async function withSecurityHeaders(request, response, env) {
+  // WebSocket upgrades and similar must stay untouched
+  if (response.status === 101) {
+    return response;
+  }
+
+  const contentType = response.headers.get("Content-Type") || "";
+  const policy = contentType.includes("text/html")
+    ? pagePolicy(await loadScriptHashes(request, env))
+    : RESOURCE_POLICY;
+
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(COMMON_HEADERS)) {
+    headers.set(name, value);
+  }
+  headers.set("Content-Security-Policy", policy);
+  headers.set("Reporting-Endpoints", `csp="${new URL(CSP_REPORT_PATH, request.url)}"`);
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
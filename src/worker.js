@@ -1,38 +1,143 @@
-import { onRequestOptions, onRequestPost } from "../functions/api/contact.js";
+import * as admin from "../functions/admin/[[path]].js";
+import * as images from "../functions/img/[[path]].js";
+import * as attachment from "../functions/api/attachment.js";
+import * as book from "../functions/api/book.js";
+import * as contact from "../functions/api/contact.js";
+import * as cspReport from "../functions/api/csp-report.js";
+import * as event from "../functions/api/event.js";
+import * as slots from "../functions/api/slots.js";
+import { compactAnalytics } from "../functions/_lib/analytics.js";
+import { retryPendingLeads } from "../functions/_lib/submissions.js";
+import { retryPendingWebhooks } from "../functions/_lib/webhooks/index.js";
+import { FORM_TOKEN_FIELD, issueFormToken } from "../functions/_lib/form-token.js";
+import { languageRedirect, notFoundPage, withLanguageHeaders } from "./pages.js";
+import { CSP_REPORT_PATH, withSecurityHeaders } from "./security.js";
+
+// Durable Object classes must be exported from the main module (wrangler.toml)
+export { SlotLock } from "../functions/_lib/booking/slot-lock.js";
+
+// API routes, each module exports Pages-style onRequest<Method> handlers
+const routes = {
+  "/submit": contact,
+  "/api/contact": contact,
+  "/api/slots": slots,
+  "/api/book": book,
+  "/api/attachment": attachment,
+  "/api/event": event,
+  [CSP_REPORT_PATH]: cspReport,
+};
+
+// Catch-all routes ([[path]].js) for everything below a prefix
+const prefixRoutes = [
+  ["/admin", admin],
+  ["/img", images],
+];
+
+function matchRoute(pathname) {
+  if (routes[pathname]) {
+    return routes[pathname];
+  }
+
+  const match = prefixRoutes.find(
+    ([prefix]) => pathname === prefix || pathname.startsWith(`${prefix}/`)
+  );
+  return match ? match[1] : null;
+}
+
+function methodNotAllowed(handlers) {
+  const allowed = Object.keys(handlers)
+    .filter((name) => name.startsWith("onRequest"))
+    .map((name) => name.slice("onRequest".length).toUpperCase());
 
-function methodNotAllowed() {
   return new Response("Method Not Allowed", {
     status: 405,
     headers: {
-      Allow: "OPTIONS, POST",
+      Allow: allowed.join(", "),
     },
   });
 }
 
+// Static pages: language routing (src/pages.js), then the form token
+async function serveAsset(request, env) {
+  const redirect = languageRedirect(request, env);
+  if (redirect) {
+    return redirect;
+  }
+
+  let response = await env.ASSETS.fetch(request);
+  if (response.status === 404) {
+    response = await notFoundPage(request, env, response);
+  }
+
+  return addFormToken(withLanguageHeaders(request, env, response), env);
+}
+
+// Adds the signed time-to-submit token to the contact form of HTML pages
+async function addFormToken(response, env) {
+  const contentType = response.headers.get("Content-Type") || "";
+
+  if (!env.FORM_TOKEN_SECRET || !contentType.includes("text/html")) {
+    return response;
+  }
+
+  const token = await issueFormToken(env.FORM_TOKEN_SECRET);
+  const rewritten = new HTMLRewriter()
+    .on("form#contact-form", {
+      element(form) {
+        form.append(
+          `<input type="hidden" name="${FORM_TOKEN_FIELD}" value="${token}">`,
+          { html: true }
+        );
+      },
+    })
+    .transform(response);
+
+  // The token is per response, so the page must not be cached publicly
+  const headers = new Headers(rewritten.headers);
+  headers.set("Cache-Control", "private, no-cache");
+
+  return new Response(rewritten.body, {
+    status: rewritten.status,
+    statusText: rewritten.statusText,
+    headers,
+  });
+}
+
+async function handle(request, env, ctx) {
+  const url = new URL(request.url);
+  const handlers = matchRoute(url.pathname);
+
+  if (handlers) {
+    const context = {
+      request,
+      env,
+      waitUntil: ctx.waitUntil.bind(ctx),
+    };
+
+    const method = request.method.charAt(0) + request.method.slice(1).toLowerCase();
+    const handler = handlers[`onRequest${method}`] || handlers.onRequest;
+
+    if (handler) {
+      return handler(context);
+    }
+
+    return methodNotAllowed(handlers);
+  }
+
+  return serveAsset(request, env);
+}
+
 export default {
+  // Every response passes the security middleware (src/security.js)
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const isContactRoute =
-      url.pathname === "/submit" || url.pathname === "/api/contact";
-
-    if (isContactRoute) {
-      const context = {
-        request,
-        env,
-        waitUntil: ctx.waitUntil.bind(ctx),
-      };
-
-      if (request.method === "POST") {
-        return onRequestPost(context);
-      }
-
-      if (request.method === "OPTIONS") {
-        return onRequestOptions(context);
-      }
-
-      return methodNotAllowed();
-    }
+    return withSecurityHeaders(request, await handle(request, env, ctx), env);
+  },
 
-    return env.ASSETS.fetch(request);
+  // Cron trigger (wrangler.toml): re-send contact notifications and webhooks that failed,
+  // merge the statistics shards of past days
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(retryPendingLeads(env));
+    ctx.waitUntil(retryPendingWebhooks(env));
+    ctx.waitUntil(compactAnalytics(env));
   },
 };
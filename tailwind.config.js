@@ -0,0 +1,40 @@
+/**
+ * Tailwind-Konfiguration für den Build (scripts/build.mjs → dist/assets/css/site.css)
+ *
+ * `content` muss alle Dateien abdecken, die Klassen setzen – auch die per
+ * JavaScript hinzugefügten (z. B. border-red-400 in contact-form.js), die
+ * Admin-Ansichten aus dem Worker und die Preiskarten aus scripts/business.mjs.
+ * Nicht aufgeführte Klassen fehlen im CSS.
+ */
+module.exports = {
+    content: [
+        './templates/**/*.html',
+        './assets/js/*.js',
+        './functions/_lib/admin/views.js',
+        './scripts/business.mjs',
+    ],
+    theme: {
+        extend: {
+            colors: {
+                brand: {
+                    DEFAULT: '#129d63', // Primary Green
+                    light: '#b9f1d1',   // Fresh Mint
+                    dark: '#129d63',
+                    text: '#111111',    // Dark Text
+                    gray: '#111111',    // Muted -> now Dark
+                }
+            },
+            fontFamily: {
+                sans: ['Inter', 'ui-sans-serif', 'system-ui', 'sans-serif'],
+                display: ['Decalotype', 'sans-serif'],
+            },
+            container: {
+                center: true,
+                padding: '1.5rem',
+            },
+            backgroundImage: {
+                'gradient-radial': 'radial-gradient(var(--tw-gradient-stops))',
+            }
+        }
+    }
+};
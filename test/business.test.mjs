@@ -0,0 +1,38 @@
+/**
+ * Profil (templates/business.json) gegen die gerenderten Seiten: baut die
+ * Seite in ein temporäres Verzeichnis und prüft sie mit checkDrift().
+ */
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { build } from '../scripts/build.mjs';
+import { BUSINESS, checkDrift } from '../scripts/business.mjs';
+
+let dist;
+
+before(async () => {
+    dist = join(mkdtempSync(join(tmpdir(), 'marknate-')), 'dist');
+    await build(dist);
+});
+
+after(() => {
+    if (dist) rmSync(join(dist, '..'), { recursive: true, force: true });
+});
+
+test('gerenderte Seiten und llms.txt stimmen mit dem Profil überein', () => {
+    assert.deepEqual(checkDrift(dist), []);
+});
+
+test('checkDrift meldet eine abweichende Telefonnummer', () => {
+    const file = join(dist, 'de/index.html');
+    const html = readFileSync(file, 'utf8');
+    writeFileSync(file, html.replaceAll(BUSINESS.telephoneDisplay, '+41 00 000 00 00'));
+
+    try {
+        assert.ok(checkDrift(dist).some((problem) => problem.startsWith('de/index.html: ')));
+    } finally {
+        writeFileSync(file, html);
+    }
+});
@@ -0,0 +1,102 @@
+/**
+ * Vertrag von Worker und PHP-Fallback (scripts/contact-contract.mjs) als Test.
+ * Startet beide Server selbst: den Worker (src/worker.js) in einem
+ * http-Server dieses Prozesses, php/contact.php über `php -S`. Ohne PHP wird
+ * der PHP-Teil übersprungen.
+ */
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { createServer } from 'node:http';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import worker from '../src/worker.js';
+import { runContract } from '../scripts/contact-contract.mjs';
+
+const PHP_DIR = fileURLToPath(new URL('../php', import.meta.url));
+
+// Wie wrangler dev mit MAIL_TRANSPORT=memory, ohne KV, R2 und Formular-Token
+const ENV = {
+    MAIL_TRANSPORT: 'memory',
+    CONTACT_EMAIL: 'info@marknate.ch',
+    MAIL_FROM: 'info@marknate.ch',
+    ALLOWED_ORIGINS: 'https://marknate.ch,https://www.marknate.ch',
+};
+
+let workerServer;
+let php;
+
+before(async () => {
+    workerServer = createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+
+        const request = new Request(`http://${req.headers.host}${req.url}`, {
+            method: req.method,
+            headers: req.headers,
+            body: ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? undefined : Buffer.concat(chunks),
+        });
+        const pending = [];
+        const response = await worker.fetch(request, ENV, { waitUntil: (promise) => pending.push(promise) });
+        await Promise.all(pending);
+
+        res.writeHead(response.status, Object.fromEntries(response.headers));
+        res.end(Buffer.from(await response.arrayBuffer()));
+    });
+    await new Promise((resolve) => workerServer.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => {
+    workerServer?.close();
+    php?.kill();
+});
+
+test('Worker erfüllt den Vertrag', async () => {
+    const { port } = workerServer.address();
+    assertContract(await runContract(`http://127.0.0.1:${port}/api/contact`));
+});
+
+test('PHP-Fallback erfüllt den Vertrag', async (t) => {
+    if (spawnSync('php', ['-v']).error) {
+        t.skip('PHP nicht installiert – php/contact.php wird nicht geprüft');
+        return;
+    }
+
+    const port = await freePort();
+    // sendmail_path=true: mail() meldet Erfolg, ohne etwas zu verschicken
+    php = spawn('php', ['-d', 'sendmail_path=true', '-S', `127.0.0.1:${port}`, '-t', PHP_DIR], { stdio: 'ignore' });
+    const url = `http://127.0.0.1:${port}/contact.php`;
+    await waitFor(url);
+
+    assertContract(await runContract(url));
+});
+
+function assertContract(results) {
+    const failures = results
+        .filter(({ problems }) => problems.length > 0)
+        .map(({ name, problems }) => `${name}: ${problems.join('; ')}`);
+    assert.deepEqual(failures, []);
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+// `php -S` braucht einen Moment, bis es Verbindungen annimmt
+async function waitFor(url, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            await fetch(url, { method: 'OPTIONS' });
+            return;
+        } catch (err) {
+            if (Date.now() > deadline) throw new Error(`${url} antwortet nicht: ${err.message}`);
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Kontaktformular Ende zu Ende: onRequestPost mit MAIL_TRANSPORT=memory,
+ * geprüft werden die Mails im outbox (functions/_lib/mail/local.js).
+ */
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import { onRequestPost } from '../functions/api/contact.js';
+import { outbox } from '../functions/_lib/mail/local.js';
+
+const ENV = {
+    MAIL_TRANSPORT: 'memory',
+    CONTACT_EMAIL: 'info@marknate.ch, team@marknate.ch',
+    MAIL_FROM: 'info@marknate.ch',
+};
+
+const FIELDS = {
+    vorname: 'Erika',
+    nachname: 'Muster',
+    email: 'erika.muster@example.com',
+    company: 'Muster AG',
+    leistung: 'workshops',
+    message: 'Wir planen einen Workshop zur Positionierung und hätten gerne ein Angebot.',
+    privacy: 'on',
+};
+
+beforeEach(() => {
+    outbox.length = 0;
+});
+
+// R2-Bucket im Speicher, nur was storeAttachments und mailAttachments brauchen
+function memoryBucket() {
+    const objects = new Map();
+    return {
+        objects,
+        async put(key, body, options) {
+            objects.set(key, { body, ...options });
+        },
+        async get(key) {
+            const object = objects.get(key);
+            return object && { ...object, arrayBuffer: async () => object.body };
+        },
+    };
+}
+
+// Wie der Worker: waitUntil sammelt, der Test wartet danach auf alles
+async function submit(fields, env = ENV, files = []) {
+    const body = new FormData();
+    for (const [name, value] of Object.entries(fields)) body.append(name, value);
+    for (const file of files) body.append('attachments', file);
+
+    const pending = [];
+    const response = await onRequestPost({
+        request: new Request('https://marknate.ch/api/contact', {
+            method: 'POST',
+            headers: { Origin: 'https://marknate.ch', Accept: 'application/json' },
+            body,
+        }),
+        env,
+        waitUntil: (promise) => pending.push(promise),
+    });
+    await Promise.all(pending);
+    return { status: response.status, json: await response.json() };
+}
+
+test('gültige Anfrage verschickt Benachrichtigung und Bestätigung', async () => {
+    const { status, json } = await submit(FIELDS);
+
+    assert.equal(status, 200);
+    assert.equal(json.success, true);
+    assert.equal(outbox.length, 2);
+
+    const [notification, confirmation] = outbox;
+    assert.deepEqual(notification.to, ['info@marknate.ch', 'team@marknate.ch']);
+    assert.equal(notification.replyTo, FIELDS.email);
+    assert.equal(notification.subject, '[Marknate Kontaktformular] Neue Anfrage von Erika Muster (DE)');
+    assert.match(notification.text, /Muster AG/);
+    assert.match(notification.text, /Workshop zur Positionierung/);
+
+    assert.deepEqual(confirmation.to, [FIELDS.email]);
+    assert.equal(confirmation.replyTo, 'info@marknate.ch');
+    assert.equal(confirmation.subject, 'Vielen Dank für Ihre Anfrage – Marknate');
+});
+
+test('Bestätigung folgt der Sprache der Anfrage', async () => {
+    const { status } = await submit({ ...FIELDS, lang: 'en' });
+
+    assert.equal(status, 200);
+    assert.equal(outbox[0].subject, '[Marknate Kontaktformular] Neue Anfrage von Erika Muster (EN)');
+    assert.equal(outbox[1].subject, 'Thank you for your inquiry – Marknate');
+});
+
+test('ungültige Anfrage verschickt keine Mail', async () => {
+    const { status, json } = await submit({ ...FIELDS, email: 'erika.muster' });
+
+    assert.equal(status, 422);
+    assert.deepEqual(Object.keys(json.fields), ['email']);
+    assert.equal(outbox.length, 0);
+});
+
+test('Honeypot verschickt keine Mail', async () => {
+    const { status, json } = await submit({ ...FIELDS, website: 'https://spam.example' });
+
+    assert.equal(status, 200);
+    assert.equal(json.success, true);
+    assert.equal(outbox.length, 0);
+});
+
+test('Anhang: Typ kommt aus dem Inhalt, nicht vom Browser', async () => {
+    const ATTACHMENTS = memoryBucket();
+    const pdf = new File(['%PDF-1.7\n…'], 'briefing.pdf', { type: 'application/octet-stream' });
+    const { status } = await submit(FIELDS, { ...ENV, ATTACHMENTS }, [pdf]);
+
+    assert.equal(status, 200);
+    const [object] = ATTACHMENTS.objects.values();
+    assert.equal(object.httpMetadata.contentType, 'application/pdf');
+    assert.deepEqual(outbox[0].attachments.map((file) => file.contentType), ['application/pdf']);
+});
+
+test('Anhang: getarnte Datei wird abgelehnt', async () => {
+    const ATTACHMENTS = memoryBucket();
+    const html = new File(['<script>alert(1)</script>'], 'briefing.pdf', { type: 'application/pdf' });
+    const { status, json } = await submit(FIELDS, { ...ENV, ATTACHMENTS }, [html]);
+
+    assert.equal(status, 422);
+    assert.deepEqual(Object.keys(json.fields), ['attachments']);
+    assert.equal(ATTACHMENTS.objects.size, 0);
+    assert.equal(outbox.length, 0);
+});
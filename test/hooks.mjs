@@ -0,0 +1,18 @@
+/**
+ * Node-Hooks für die Tests: functions/ und src/ sind ES-Module in .js-Dateien
+ * und importieren JSON ohne Import-Attribute – im Worker bündelt wrangler
+ * beides, unter Node erledigen das diese Hooks.
+ */
+const ROOT = new URL('../', import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(ROOT) && !url.includes('/node_modules/')) {
+        if (url.endsWith('.json')) {
+            return nextLoad(url, { ...context, importAttributes: { type: 'json' } });
+        }
+        if (url.endsWith('.js')) {
+            return nextLoad(url, { ...context, format: 'module' });
+        }
+    }
+    return nextLoad(url, context);
+}
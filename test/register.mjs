@@ -0,0 +1,4 @@
+// Aufruf: node --import ./test/register.mjs --test <datei> (npm test, siehe package.json)
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);